@@ -0,0 +1,144 @@
+/*
+ * The elevation providers of the elevation_options.
+ *
+ * Part of leaflet-gpx, see the copyright header in gpx.js. Load it after
+ * gpx.js.
+ */
+
+var L = L || require('leaflet');
+
+/*
+ * Elevation providers look up the terrain height of points: their
+ * get_elevations(latlngs) method returns a Promise of the elevations, in
+ * meters, null where unknown.
+ */
+
+// Terrain-RGB PNG tiles, like the Terrarium tiles of AWS Terrain Tiles or the
+// Mapbox Terrain-RGB ones, at a fixed zoom level.
+L.GPXElevationTiles = L.Class.extend({
+  options: {
+    encoding: 'terrarium',            // or 'mapbox'
+    zoom: 12,
+    tileSize: 256,
+    subdomains: 'abc',
+    fetch_options: {}
+  },
+
+  initialize: function(url, options) {
+    L.Util.setOptions(this, options);
+    this._url = url;
+    this._tiles = {};
+  },
+
+  get_elevations: function(latlngs) {
+    var _this = this, size = this.options.tileSize, zoom = this.options.zoom;
+    return Promise.all(latlngs.map(function(ll) {
+      var p = L.CRS.EPSG3857.latLngToPoint(L.latLng(ll.lat, ll.lng), zoom).multiplyBy(size / 256);
+      var x = Math.floor(p.x / size), y = Math.floor(p.y / size);
+      return _this._tile(x, y, zoom).then(function(tile) {
+        return _this._sample(tile, p.x - x * size - 0.5, p.y - y * size - 0.5);
+      });
+    }));
+  },
+
+  _tile: function(x, y, z) {
+    var key = z + '/' + x + '/' + y, o = this.options;
+    if (!this._tiles[key]) {
+      var url = L.Util.template(this._url, { x: x, y: y, z: z,
+        s: o.subdomains[Math.abs(x + y) % o.subdomains.length] });
+      this._tiles[key] = window.fetch(url, o.fetch_options).then(function(response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status + ' for ' + url);
+        return response.blob();
+      }).then(function(blob) {
+        return createImageBitmap(blob);
+      }).then(function(image) {
+        var canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        var ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        return ctx.getImageData(0, 0, image.width, image.height);
+      });
+    }
+    return this._tiles[key];
+  },
+
+  // Bilinear interpolation between the four pixels around (x, y).
+  _sample: function(tile, x, y) {
+    var _this = this;
+    var x0 = Math.max(0, Math.min(tile.width - 2, Math.floor(x))), fx = Math.max(0, Math.min(1, x - x0));
+    var y0 = Math.max(0, Math.min(tile.height - 2, Math.floor(y))), fy = Math.max(0, Math.min(1, y - y0));
+    var ele = function(x, y) {
+      var i = 4 * (y * tile.width + x), d = tile.data;
+      return _this.options.encoding == 'mapbox' ?
+        -10000 + (d[i] * 65536 + d[i+1] * 256 + d[i+2]) * 0.1 :
+        d[i] * 256 + d[i+1] + d[i+2] / 256 - 32768;
+    };
+    return (ele(x0, y0) * (1 - fx) + ele(x0 + 1, y0) * fx) * (1 - fy) +
+      (ele(x0, y0 + 1) * (1 - fx) + ele(x0 + 1, y0 + 1) * fx) * fy;
+  }
+});
+
+// SRTM .hgt files of one degree by one degree, of 1 or 3 arc seconds, named
+// like N45E006.hgt. The URL template gets the name of the file in {name}.
+L.GPXElevationHGT = L.Class.extend({
+  options: {
+    fetch_options: {}
+  },
+
+  initialize: function(url, options) {
+    L.Util.setOptions(this, options);
+    this._url = url;
+    this._files = {};
+  },
+
+  get_elevations: function(latlngs) {
+    var _this = this;
+    return Promise.all(latlngs.map(function(ll) {
+      var lat = Math.floor(ll.lat), lng = Math.floor(ll.lng);
+      return _this._file(lat, lng).then(function(file) {
+        return file ? _this._sample(file, (lat + 1 - ll.lat) * (file.size - 1), (ll.lng - lng) * (file.size - 1)) : null;
+      });
+    }));
+  },
+
+  _file: function(lat, lng) {
+    var name = (lat < 0 ? 'S' : 'N') + ('0' + Math.abs(lat)).slice(-2) +
+      (lng < 0 ? 'W' : 'E') + ('00' + Math.abs(lng)).slice(-3);
+    if (!this._files[name]) {
+      var url = L.Util.template(this._url, { name: name });
+      this._files[name] = window.fetch(url, this.options.fetch_options).then(function(response) {
+        // no file where there is only sea
+        if (response.status == 404) return null;
+        if (!response.ok) throw new Error('HTTP ' + response.status + ' for ' + url);
+        return response.arrayBuffer().then(function(buffer) {
+          return { view: new DataView(buffer), size: Math.round(Math.sqrt(buffer.byteLength / 2)) };
+        });
+      });
+    }
+    return this._files[name];
+  },
+
+  // Bilinear interpolation between the four samples around (row, col), which
+  // are big-endian 16 bit integers, -32768 where unknown.
+  _sample: function(file, row, col) {
+    var r0 = Math.max(0, Math.min(file.size - 2, Math.floor(row))), fr = row - r0;
+    var c0 = Math.max(0, Math.min(file.size - 2, Math.floor(col))), fc = col - c0;
+    var total = 0, weight = 0;
+    [[r0, c0, (1 - fr) * (1 - fc)], [r0, c0 + 1, (1 - fr) * fc],
+     [r0 + 1, c0, fr * (1 - fc)], [r0 + 1, c0 + 1, fr * fc]].forEach(function(s) {
+      var v = file.view.getInt16(2 * (s[0] * file.size + s[1]));
+      if (v != -32768 && s[2] > 0) {
+        total += v * s[2];
+        weight += s[2];
+      }
+    });
+    return weight > 0 ? total / weight : null;
+  }
+});
+
+if (typeof module === 'object' && typeof module.exports === 'object') {
+  module.exports = L;
+} else if (typeof define === 'function' && define.amd) {
+  define(L);
+}
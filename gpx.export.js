@@ -0,0 +1,136 @@
+/*
+ * Exporting a L.GPX layer back to GPX.
+ *
+ * Part of leaflet-gpx, see the copyright header in gpx.js. Load it after
+ * gpx.js.
+ */
+
+var L = L || require('leaflet');
+
+var _GPX_NS = L.GPX._shared.namespaces.gpx;
+var _GPX_STYLE_NS = L.GPX._shared.namespaces.style;
+var _GPX_TPX_NS = L.GPX._shared.namespaces.tpx;
+var _GPX_TPX2_NS = L.GPX._shared.namespaces.tpx2;
+
+L.GPX.include({
+  // Serialize the layer to GPX 1.1, with its metadata, waypoints, routes and
+  // tracks, and the extension fields of the points.
+  toGPX: function() {
+    var _this = this, i, j, s = [];
+    var md = this._info.metadata || {};
+
+    s.push('<?xml version="1.0" encoding="UTF-8"?>');
+    s.push('<gpx version="1.1" creator="leaflet-gpx" xmlns="' + _GPX_NS + '" xmlns:gpxtpx="' + _GPX_TPX_NS + '">');
+
+    var meta = this._gpx_tag('name', md.name) + this._gpx_tag('desc', md.desc);
+    if (md.author) {
+      var email = md.author.email ? md.author.email.split('@') : null;
+      meta += '<author>' + this._gpx_tag('name', md.author.name) +
+        (email ? '<email id="' + this._xml_escape(email[0]) + '" domain="' + this._xml_escape(email[1]) + '"/>' : '') +
+        (md.author.link ? '<link href="' + this._xml_escape(md.author.link) + '"/>' : '') +
+        '</author>';
+    }
+    if (md.copyright) {
+      meta += '<copyright' + (md.copyright.author != null ? ' author="' + this._xml_escape(md.copyright.author) + '"' : '') + '>' +
+        this._gpx_tag('year', md.copyright.year) + this._gpx_tag('license', md.copyright.license) +
+        '</copyright>';
+    }
+    meta += this._gpx_links(md.links);
+    if (md.time) meta += this._gpx_tag('time', md.time.toISOString());
+    if (md.keywords && md.keywords.length) meta += this._gpx_tag('keywords', md.keywords.join(', '));
+    if (md.bounds) {
+      meta += '<bounds minlat="' + md.bounds.getSouth() + '" minlon="' + md.bounds.getWest() +
+        '" maxlat="' + md.bounds.getNorth() + '" maxlon="' + md.bounds.getEast() + '"/>';
+    }
+    if (meta) s.push('<metadata>' + meta + '</metadata>');
+
+    this._info.waypoint_list.forEach(function(p) {
+      s.push(_this._gpx_point('wpt', p,
+        _this._gpx_tag('name', p.meta.name) + _this._gpx_tag('cmt', p.meta.cmt) +
+        _this._gpx_tag('desc', p.meta.desc) + _this._gpx_tag('src', p.meta.src) +
+        _this._gpx_links(p.meta.links || (p.meta.link ? [{ href: p.meta.link }] : [])) +
+        _this._gpx_tag('sym', p.meta.sym) + _this._gpx_tag('type', p.meta.type)));
+    });
+
+    this._info.routes.forEach(function(route) {
+      s.push('<rte>' + _this._gpx_line_info(route) + _this._gpx_line_style(route.style));
+      route._points.forEach(function(p) { s.push(_this._gpx_point('rtept', p, _this._gpx_tag('name', p.meta.name))); });
+      s.push('</rte>');
+    });
+
+    this._info.tracks.forEach(function(track) {
+      s.push('<trk>' + _this._gpx_line_info(track) + _this._gpx_line_style(track.style));
+      track.segments.forEach(function(seg) {
+        s.push('<trkseg>');
+        seg._points.forEach(function(p) { s.push(_this._gpx_point('trkpt', p, _this._gpx_tag('name', p.meta.name))); });
+        s.push(_this._gpx_line_style(seg.style) + '</trkseg>');
+      });
+      s.push('</trk>');
+    });
+
+    s.push('</gpx>');
+    return s.join('\n');
+  },
+
+  _gpx_tag: function(name, v) {
+    if (v == null || v === '') return '';
+    return '<' + name + '>' + this._xml_escape(v) + '</' + name + '>';
+  },
+
+  _gpx_links: function(links) {
+    var _this = this;
+    return (links || []).map(function(link) {
+      return '<link href="' + _this._xml_escape(link.href || '') + '">' +
+        _this._gpx_tag('text', link.text) + _this._gpx_tag('type', link.type) + '</link>';
+    }).join('');
+  },
+
+  _gpx_line_info: function(line) {
+    return this._gpx_tag('name', line.name) + this._gpx_tag('cmt', line.cmt) + this._gpx_tag('desc', line.desc) +
+      this._gpx_tag('src', line.src) + this._gpx_links(line.links) + this._gpx_tag('number', line.number) +
+      this._gpx_tag('type', line.type);
+  },
+
+  _gpx_point: function(tag, p, inner) {
+    var s = '<' + tag + ' lat="' + p.lat + '" lon="' + p.lng + '">';
+    if (p.meta.ele != null && !isNaN(p.meta.ele)) s += this._gpx_tag('ele', p.meta.ele);
+    if (this._has_time(p.meta) && !isNaN(p.meta.time) && !p.meta.time_estimated) {
+      s += this._gpx_tag('time', p.meta.time.toISOString());
+    }
+    s += inner || '';
+
+    // the fields of the Garmin extensions go together, in the first version
+    // that has them, the others in their own namespace; GPX doesn't allow
+    // extensions without one
+    var tpx = '', tpx2 = '', ext = '';
+    for (var name in this._fields) {
+      var f = this._fields[name], v = p.meta[name], el = f.element[0];
+      if (v == null || v === '') continue;
+      if (f.namespace.indexOf(_GPX_TPX_NS) > -1) {
+        tpx += this._gpx_tag('gpxtpx:' + el, v);
+      } else if (f.namespace.indexOf(_GPX_TPX2_NS) > -1) {
+        tpx2 += this._gpx_tag(el, v);
+      } else if (f.namespace[0] != '*') {
+        ext += '<' + el + ' xmlns="' + this._xml_escape(f.namespace[0]) + '">' + this._xml_escape(v) + '</' + el + '>';
+      }
+    }
+    if (tpx) ext = '<gpxtpx:TrackPointExtension>' + tpx + '</gpxtpx:TrackPointExtension>' + ext;
+    if (tpx2) ext = '<TrackPointExtension xmlns="' + _GPX_TPX2_NS + '">' + tpx2 + '</TrackPointExtension>' + ext;
+    if (ext) s += '<extensions>' + ext + '</extensions>';
+    return s + '</' + tag + '>';
+  },
+
+  _gpx_line_style: function(style) {
+    if (!style) return '';
+    return '<extensions><line xmlns="' + _GPX_STYLE_NS + '">' +
+      this._gpx_tag('color', style.color && style.color.replace(/^#/, '')) +
+      this._gpx_tag('opacity', style.opacity) + this._gpx_tag('weight', style.weight) +
+      this._gpx_tag('linecap', style.lineCap) + '</line></extensions>';
+  }
+});
+
+if (typeof module === 'object' && typeof module.exports === 'object') {
+  module.exports = L;
+} else if (typeof define === 'function' && define.amd) {
+  define(L);
+}
@@ -46,7 +46,30 @@ var _DAY_IN_MILLIS = 24 * _HOUR_IN_MILLIS;
 
 var _ELEVATION_THRESHOLD_M = 4; // approximate noise level of the GPX elevation data in m
 
+var _GPX_NS = 'http://www.topografix.com/GPX/1/1';
 var _GPX_STYLE_NS = 'http://www.topografix.com/GPX/gpx_style/0/2';
+var _GPX_TPX_NS = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v1';
+var _GPX_TPX2_NS = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+var _GPX_DATA_NS = 'http://www.cluetrust.com/XML/GPXDATA/1/0';
+var _GPX_POWER_NS = 'http://www.garmin.com/xmlschemas/PowerExtension/v1';
+
+var _DEFAULT_TIME = new Date('1970-01-01T00:00:00'); // used for points that don't have a time
+
+// <gx:SimpleArrayData> names of the KML sensor data we know about
+var _KML_ARRAY_FIELDS = {
+  heartrate: 'hr',
+  heart_rate: 'hr',
+  cadence: 'cad',
+  temperature: 'atemp'
+};
+
+// Popup templates by type of point, called with the escaped fields of the point
+var _DEFAULT_POPUPS = {
+  waypoint: function(p) {
+    return '<b>' + (p.name || '') + '</b>' + (p.desc ? '<br/>' + p.desc : '') +
+      (p.links && p.links.length ? '<br/>' + this._html_links(p.links) : '');
+  }
+};
 
 var _DEFAULT_MARKER_OPTS = {
   startIconUrl: 'pin-icon-start.png',
@@ -62,15 +85,128 @@ var _DEFAULT_MARKER_OPTS = {
   },
   wptIconGenerator: false,
   pointMatchers: [],
+  popups: _DEFAULT_POPUPS,
+  tooltips: {},
+  trustedHtml: false,
+  splits: false,
+  stops: false,
   iconSize: [33, 45],
   shadowSize: [41, 41],
   iconAnchor: [16, 45],
   shadowAnchor: [16, 40],
   clickable: false
 };
+var _SPLIT_UNITS = {
+  km: 1000,
+  mi: 1609.344
+};
+var _DEFAULT_EFFORTS = [
+  { distance: 1000 }, { distance: 5000 }, { distance: 10000 }, { time: 20 * _MINUTE_IN_MILLIS }
+];
 var _DEFAULT_POLYLINE_OPTS = {
   color: 'blue'
 };
+var _DEFAULT_COLOR_SCALE = {
+  ramp: ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'],
+  bins: 16
+};
+var _METRIC_UNITS = {
+  ele: 'm', grd: '%', vel: 'km/h', hr: 'bpm', cad: 'rpm', atemp: '°C'
+};
+var _DEFAULT_WAYPOINT_OPTS = {
+  max_offset: 100, // in meters from the lines
+  group_by: null, // 'sym' or 'type'
+  cluster: null, // function returning the layer to cluster the markers in
+  labels: {}
+};
+var _DEFAULT_SERIES_OPTS = {
+  x: 'distance',                      // or 'time'
+  y: 'ele',
+  units: 'metric',                    // 'imperial', or 'raw' for meters and milliseconds
+  resample: null,                     // step in meters or milliseconds
+  max_points: null
+};
+var _DEFAULT_INSPECTOR_OPTS = {
+  tolerance: 10, // in pixels
+  marker: false,
+  tooltip: false,
+  select_range: false
+};
+var _DEFAULT_RANGE_OPTS = {
+  color: 'orange',
+  weight: 6,
+  opacity: 0.9,
+  interactive: false
+};
+var _DEFAULT_STOP_OPTS = {
+  detect: false,
+  speed: 1,                           // in km/h
+  min_duration: 60 * _SECOND_IN_MILLIS,
+  radius: 15                          // in meters
+};
+var _DEFAULT_CLIMB_OPTS = {
+  detect: false,
+  highlight: false,
+  tolerance: 20,                      // in meters, of the dips within a climb
+  min_gain: 30,                       // in meters
+  min_gradient: 2,                    // in %
+  gradient_window: 100,               // in meters, for the maximum gradient
+  // length in meters times the average gradient in %, as for Strava
+  score: function(climb) { return climb.length * climb.avg_gradient; },
+  categories: [
+    { name: 'Cat 4', score: 8000, color: '#fdd49e' },
+    { name: 'Cat 3', score: 16000, color: '#fdae61' },
+    { name: 'Cat 2', score: 32000, color: '#f46d43' },
+    { name: 'Cat 1', score: 64000, color: '#d7191c' },
+    { name: 'HC', score: 80000, color: '#7b3294' }
+  ],
+  color: '#f7e4a0',                   // for the climbs without category
+  descent_color: '#2c7bb6'
+};
+var _DEFAULT_FILTER_OPTS = {
+  outliers: false,
+  smooth: false,
+  gain: 'threshold'                   // or 'smoothed' or 'raw'
+};
+var _DEFAULT_OUTLIER_OPTS = {
+  max_speed: 300,                     // in km/h
+  max_acceleration: 10,               // in m/s²
+  max_climb: 10                       // in m/s
+};
+var _DEFAULT_SMOOTH_OPTS = {
+  algorithm: 'moving-average',        // or 'median' or 'kalman'
+  window: 5,                          // in points, for the moving average and median
+  accuracy: 10,                       // in meters, for the Kalman filter
+  noise: 3,                           // in m/s, for the Kalman filter
+  position: true,
+  elevation: true
+};
+var _DEFAULT_ELEVATION_OPTS = {
+  provider: null,
+  mode: 'fill'                        // or 'replace'
+};
+var _DEFAULT_PACE_OPTS = {
+  model: null,                        // 'naismith', 'tobler', 'cycling' or a function
+  start: null,
+  walking_speed: 5,                   // in km/h, for Naismith's rule
+  ascent_rate: 600,                   // in m/h, for Naismith's rule
+  flat_speed: 25,                     // in km/h, for cycling
+  climb_rate: 800                     // in m/h, for cycling
+};
+var _DEFAULT_COMPARE_OPTS = {
+  align: 'distance',                  // or 'map-matching'
+  section: 1000,                      // in meters
+  divergence: 50                      // in meters
+};
+var _DEFAULT_ATHLETE_OPTS = {
+  max_hr: null,
+  rest_hr: null,
+  lthr: null,                         // heart rate at the lactate threshold
+  ftp: null,                          // functional threshold power, in watts
+  sex: 'male',                        // for the TRIMP weighting
+  hr_zones: [0, 0.6, 0.7, 0.8, 0.9],  // lower bounds, as fractions of max_hr
+  power_zones: [0, 0.56, 0.76, 0.91, 1.06, 1.21, 1.5]  // lower bounds, as fractions of ftp
+};
 var _DEFAULT_GPX_OPTS = {
   parseElements: ['track', 'route', 'waypoint'],
   joinTrackSegments: true
@@ -83,10 +219,47 @@ L.GPX = L.FeatureGroup.extend({
     options.marker_options = this._merge_objs(
       _DEFAULT_MARKER_OPTS,
       options.marker_options || {});
+    options.marker_options.popups = this._merge_objs(
+      _DEFAULT_POPUPS,
+      options.marker_options.popups || {});
     options.polyline_options = options.polyline_options || {};
     options.gpx_options = this._merge_objs(
       _DEFAULT_GPX_OPTS,
       options.gpx_options || {});
+    options.waypoint_options = this._merge_objs(
+      _DEFAULT_WAYPOINT_OPTS,
+      options.waypoint_options || {});
+    options.stop_options = this._merge_objs(
+      _DEFAULT_STOP_OPTS,
+      options.stop_options || {});
+    options.climb_options = this._merge_objs(
+      _DEFAULT_CLIMB_OPTS,
+      options.climb_options || {});
+    options.inspector_options = this._merge_objs(
+      _DEFAULT_INSPECTOR_OPTS,
+      options.inspector_options || {});
+    options.elevation_options = this._merge_objs(
+      _DEFAULT_ELEVATION_OPTS,
+      options.elevation_options || {});
+    options.athlete_options = this._merge_objs(
+      _DEFAULT_ATHLETE_OPTS,
+      options.athlete_options || {});
+    options.pace_options = this._merge_objs(
+      _DEFAULT_PACE_OPTS,
+      options.pace_options || {});
+    options.filter_options = this._merge_objs(
+      _DEFAULT_FILTER_OPTS,
+      options.filter_options || {});
+    if (options.filter_options.outliers) {
+      options.filter_options.outliers = this._merge_objs(_DEFAULT_OUTLIER_OPTS,
+        options.filter_options.outliers === true ? {} : options.filter_options.outliers);
+    }
+    if (options.filter_options.smooth || options.filter_options.gain == 'smoothed') {
+      // the smoothed gain needs at least the elevation to be smoothed
+      options.filter_options.smooth = this._merge_objs(_DEFAULT_SMOOTH_OPTS,
+        typeof options.filter_options.smooth === 'object' ? options.filter_options.smooth :
+        options.filter_options.smooth ? {} : { position: false });
+    }
 
     L.Util.setOptions(this, options);
 
@@ -99,9 +272,28 @@ L.GPX = L.FeatureGroup.extend({
 
     if (gpx) {
       this._parse(gpx, options, this.options.async);
+    } else {
+      // there is nothing to load
+      this._init_ready();
+      this._ready.resolve(this);
     }
   },
 
+  onAdd: function(map) {
+    L.FeatureGroup.prototype.onAdd.call(this, map);
+    map.on('mousemove', this._on_mousemove, this);
+    map.on('click', this._on_click, this);
+    if (this._range_layer) this._range_layer.addTo(map);
+  },
+
+  onRemove: function(map) {
+    map.off('mousemove', this._on_mousemove, this);
+    map.off('click', this._on_click, this);
+    this._hover_out();
+    if (this._range_layer) this._range_layer.remove();
+    L.FeatureGroup.prototype.onRemove.call(this, map);
+  },
+
   get_duration_string: function(duration, hidems) {
     var s = '';
 
@@ -147,20 +339,32 @@ L.GPX = L.FeatureGroup.extend({
   get_desc:            function() { return this._info.desc; },
   get_author:          function() { return this._info.author; },
   get_copyright:       function() { return this._info.copyright; },
+  get_metadata:        function() { return this._info.metadata; },
   get_distance:        function() { return this._info.length; },
   get_distance_imp:    function() { return this.to_miles(this.m_to_km(this.get_distance())); },
   get_waypoints:       function() { return this._info.waypoints; },
+  get_waypoint_list:   function() { return this._info.waypoint_list; },
+
+  get_tracks:          function() { return this._info.tracks; },
+  get_routes:          function() { return this._info.routes; },
+  get_segment_stats:   function(i) { return this._info.segments[i]; },
+
+  get_color_scale:     function() { return this._info.color_scale || null; },
 
   get_point:           function(i) { return this._info._points[i]; },
+  // With f(ast) set, the spatial index finds the closest point by its
+  // projected distance instead of going through all of them.
   closestLayerLatLng:  function(ll, f) {
-      f = f || false;
+      ll = L.latLng(ll);
+      if (f) {
+        var hit = this._index_nearest(ll, Infinity, true);
+        return hit ? [hit.index, hit.point] : null;
+      }
       if( this._info._points.length == 0 ) return null;
-      var res = 0,
-          df = f ? function(p) { return Math.abs(ll.lat-p.lat)+Math.abs(ll.lng-p.lng); } : ll.distanceTo.bind( ll ),
-          d = df( this._info._points[res] );
+      var res = 0, d = ll.distanceTo( this._info._points[res] );
       for( var i = 1; i < this._info._points.length; i++ )
       {
-        var dist = df( this._info._points[i] );
+        var dist = ll.distanceTo( this._info._points[i] );
         if( dist < d )
         {
             res = i;
@@ -170,10 +374,285 @@ L.GPX = L.FeatureGroup.extend({
       return [res, this._info._points[res]];
   },
 
+  // The position along the lines where the distance ('cumdist', in meters)
+  // or the elapsed time ('cumtime', in milliseconds) from the start reaches a
+  // value, interpolated between the two points around it, of which index and
+  // meta are the ones of the first; like the elevation and the time.
+  get_point_at: function(field, value) {
+    var points = this._info._points, lo = 0, hi = points.length - 1;
+    if (!points.length) return null;
+    value = Math.max(points[0].meta[field], Math.min(points[hi].meta[field], value));
+    while (hi - lo > 1) {
+      var mid = (lo + hi) >> 1;
+      if (points[mid].meta[field] <= value) lo = mid; else hi = mid;
+    }
+    var a = points[lo], b = points[hi], d = b.meta[field] - a.meta[field];
+    var t = d > 0 ? Math.max(0, Math.min(1, (value - a.meta[field]) / d)) : 0;
+    if (t == 1 || lo == hi) {
+      a = b;
+      lo = hi;
+      t = 0;
+    }
+    var timed = this._has_time(a.meta);
+    return {
+      index: lo,
+      latlng: L.latLng(a.lat + t * (b.lat - a.lat), a.lng + t * (b.lng - a.lng)),
+      point: a,
+      meta: a.meta,
+      cumdist: a.meta.cumdist + t * (b.meta.cumdist - a.meta.cumdist),
+      cumtime: a.meta.cumtime + t * (b.meta.cumtime - a.meta.cumtime),
+      ele: a.meta.ele != null && b.meta.ele != null ? a.meta.ele + t * (b.meta.ele - a.meta.ele) : a.meta.ele,
+      time: timed ? new Date(a.meta.time.getTime() + t * (b.meta.time - a.meta.time)) : null
+    };
+  },
+
+  // Statistics of the points from one position to another, each given as an
+  // index, a LatLng, a Date or {distance: meters from the start}.
+  get_range_stats: function(from, to) {
+    var range = this._range(from, to);
+    if (!range) return null;
+
+    var stats = this._pieces_stats(this._range_pieces(range[0], range[1]));
+    stats._points = this._info._points.slice(range[0], range[1] + 1);
+    stats.from = range[0];
+    stats.to = range[1];
+    return stats;
+  },
+
+  _pieces_stats: function(pieces) {
+    var _this = this, stats = this._init_stats(), options = this._stats_options();
+    pieces.forEach(function(pts) {
+      // work on copies, to keep the speed and gradient of the points as they are
+      _this._merge_stats(stats, _this._segment_stats(pts.map(function(p) {
+        var ll = L.latLng(p.lat, p.lng, p.alt);
+        ll.meta = _this._merge_objs(p.meta, {});
+        return { ll: ll };
+      }), options));
+    });
+    this._finish_stats(stats);
+    stats.velocity.avg = stats.duration.moving > 0 ?
+      this.m_to_km(stats.length) / (stats.duration.moving / _HOUR_IN_MILLIS) : null;
+    return stats;
+  },
+
+  // Statistics of every kilometer ('km'), mile ('mi') or given number of
+  // meters of the lines, the last one being what is left. The positions
+  // where the splits begin and end are interpolated between the points.
+  get_splits: function(unit) {
+    var points = this._info._points, splits = [];
+    var size = typeof unit === 'number' ? unit : _SPLIT_UNITS[unit || 'km'];
+    if (!points.length) return splits;
+
+    var total = points[points.length - 1].meta.cumdist;
+    for (var k = 0; k == 0 || k * size < total; k++) {
+      var from = this.get_point_at('cumdist', k * size), to = this.get_point_at('cumdist', (k + 1) * size);
+      var pieces = this._range_pieces(from.index, to.index), last = pieces[pieces.length - 1];
+      pieces[0][0] = this._point_at(from);
+      if (to.cumdist > last[last.length - 1].meta.cumdist) last.push(this._point_at(to));
+
+      var stats = this._pieces_stats(pieces);
+      stats._points = points.slice(from.index, to.index + 1);
+      stats.from = from.index;
+      stats.to = to.index;
+      stats.split = k + 1;
+      stats.partial = (k + 1) * size > total;
+      stats.pace = stats.length > 0 ? stats.duration.moving / (stats.length / size) : null;
+      stats.end = to.latlng;
+      splits.push(stats);
+    }
+    return splits;
+  },
+
+  // A point at a position given by get_point_at().
+  _point_at: function(at) {
+    var ll = L.latLng(at.latlng.lat, at.latlng.lng);
+    ll.meta = this._merge_objs(at.meta, { ele: at.ele, cumdist: at.cumdist, cumtime: at.cumtime });
+    if (at.time) ll.meta.time = at.time;
+    return ll;
+  },
+
+  // The fastest stretches of the lines covering a given distance (in meters)
+  // or the longest ones covered in a given time (in milliseconds), by default
+  // 1km, 5km, 10km and 20 minutes; null where the lines are too short.
+  get_best_efforts: function(efforts) {
+    var _this = this, points = this._info._points;
+
+    return (efforts || _DEFAULT_EFFORTS).map(function(effort) {
+      var best = null, from = 0;
+      for (var to = 1; to < points.length; to++) {
+        var a = points[from].meta, b = points[to].meta;
+        if (effort.distance != null) {
+          // the shortest stretch ending here still longer than the distance
+          while (from < to - 1 && b.cumdist - points[from + 1].meta.cumdist >= effort.distance) a = points[++from].meta;
+          if (b.cumdist - a.cumdist < effort.distance) continue;
+          if (best && b.cumtime - a.cumtime >= best.time) continue;
+        } else {
+          // the longest stretch ending here still shorter than the time
+          while (from < to && b.cumtime - a.cumtime > effort.time) a = points[++from].meta;
+          if (from == to || b.cumtime == a.cumtime) continue;
+          if (best && b.cumdist - a.cumdist <= best.distance) continue;
+        }
+        best = { from: from, to: to, distance: b.cumdist - a.cumdist, time: b.cumtime - a.cumtime };
+      }
+      if (best && best.time > 0) {
+        best.effort = effort;
+        best.speed = _this.m_to_km(best.distance) / (best.time / _HOUR_IN_MILLIS);
+        best.pace = best.time / _this.m_to_km(best.distance);
+        return best;
+      }
+      return null;
+    });
+  },
+
+  // The statistics of the laps recorded by the device, for the formats that
+  // have them.
+  get_laps: function() {
+    return this._info.segments.filter(function(seg) { return seg.lap; });
+  },
+
+  // The climbs and descents of the elevation profile, see climb_options.
+  get_climbs:   function() { return this._climbs('climb'); },
+  get_descents: function() { return this._climbs('descent'); },
+
+  // The waypoints within max_offset meters of the lines, in the order they
+  // are passed, with their closest position on the lines: its distance from
+  // the start, elevation and time, recorded or estimated. Lines without
+  // times get the ones of a pace model, by default the one of the
+  // pace_options.
+  get_waypoints_on_track: function(max_offset, model) {
+    var _this = this, opts = this.options.pace_options, list = [];
+    if (max_offset == null) max_offset = this.options.waypoint_options.max_offset;
+    model = model || opts.model;
+    this._info.waypoint_list.forEach(function(wpt) {
+      var hit = _this._index_nearest(wpt, Infinity);
+      if (!hit) return;
+      var offset = wpt.distanceTo(hit.latlng);
+      if (offset > max_offset) return;
+      var time = hit.time, estimated = !!(time && hit.meta.time_estimated);
+      if (!time && model) {
+        var at = _this.get_point_at('cumdist', hit.cumdist), pieces = _this._range_pieces(0, at.index);
+        pieces[pieces.length - 1].push(_this._point_at(at));
+        time = new Date((opts.start ? new Date(opts.start).getTime() : 0) + _this._pieces_pace_time(pieces, model, opts));
+        estimated = true;
+      }
+      list.push({ waypoint: wpt, latlng: hit.latlng, index: hit.index, offset: offset,
+        distance: hit.cumdist, ele: hit.ele, time: time, time_estimated: estimated });
+    });
+    return list.sort(function(a, b) { return a.distance - b.distance; });
+  },
+
+  // The layers holding the waypoint markers by sym or type, when grouped.
+  get_waypoint_layers: function() {
+    return this._info.waypoint_layers;
+  },
+
+  // Add the waypoint layers to a L.Control.Layers, with their icon.
+  add_waypoint_overlays: function(control) {
+    var layers = this._info.waypoint_layers, labels = this.options.waypoint_options.labels;
+    for (var key in layers) {
+      var marker = layers[key].getLayers()[0], url = marker && marker.options.icon.options.iconUrl;
+      control.addOverlay(layers[key], (url ? '<img src="' + this._xml_escape(url) + '" style="height: 1.2em"/> ' : '') +
+        this._xml_escape(labels[key] || key || 'Waypoints'));
+    }
+    return this;
+  },
+
+  // The time to travel the lines according to a pace model, by default the
+  // one of the pace_options, whether they have recorded times or not.
+  get_estimated_time: function(model) {
+    var opts = this.options.pace_options, points = this._info._points;
+    model = model || opts.model;
+    if (!model || !points.length) return null;
+    return this._pieces_pace_time(this._range_pieces(0, points.length - 1), model, opts);
+  },
+
+  // Compare the lines with the ones of another L.GPX layer on the same
+  // course: each point is matched with the position of the other layer at
+  // the same distance from the start, or with the closest one by
+  // map-matching, giving the time gap between them and how far apart they
+  // are. Sections of the given length compare their pace, heart rate and
+  // elevation gain, and the stretches where the lines are further apart
+  // than the divergence are listed. What can't be compared, past the end of
+  // the other layer or without times or values, is null.
+  compare: function(other, options) {
+    var _this = this, opts = this._merge_objs(_DEFAULT_COMPARE_OPTS, options || {});
+    var points = this._info._points, result = { points: [], sections: [], divergences: [] }, run = null;
+    var others = other._info._points;
+    if (!points.length || !others.length) return result;
+
+    result.points = points.map(function(p, i) {
+      var at = opts.align == 'map-matching' ? other._index_nearest(p, Infinity) : other.get_point_at('cumdist', p.meta.cumdist);
+      var distance = p.distanceTo(at.latlng);
+      var beyond = opts.align == 'map-matching' ? at.index == others.length - 1 && distance > opts.divergence :
+        p.meta.cumdist > others[others.length - 1].meta.cumdist;
+      var timed = !beyond && _this._has_time(p.meta) && other._has_time(at.meta);
+      var match = { index: i, latlng: p, other: at, beyond: beyond, gap: timed ? at.cumtime - p.meta.cumtime : null, distance: distance };
+
+      if (match.distance > opts.divergence) {
+        if (!run) result.divergences.push(run = { from: i, to: i, distance: 0, latlng: null });
+        run.to = i;
+        if (match.distance > run.distance) {
+          run.distance = match.distance;
+          run.latlng = p;
+        }
+      } else {
+        run = null;
+      }
+      return match;
+    });
+
+    var diff = function(x, y) { return x == null || y == null || isNaN(x) || isNaN(y) ? null : x - y; };
+    var pace = function(stats) { return stats.length > 0 && stats.duration.moving > 0 ? stats.duration.moving / (stats.length / 1000) : null; };
+    result.sections = this.get_splits(opts.section).map(function(a) {
+      var b = other.get_range_stats(result.points[a.from].other.index, result.points[a.to].other.index);
+      var reached = !result.points[a.to].beyond, timed = reached && result.points[a.to].gap != null;
+      return {
+        split: a.split, from: a.from, to: a.to, stats: a, other: b, reached: reached,
+        delta: {
+          time: timed ? b.duration.total - a.duration.total : null,
+          pace: timed ? diff(pace(b), pace(a)) : null,
+          hr: reached ? diff(b.hr.avg, a.hr.avg) : null,
+          ele: reached ? diff(b.elevation.gain, a.elevation.gain) : null
+        }
+      };
+    });
+
+    result.gap = result.points[result.points.length - 1].gap;
+    return result;
+  },
+
+  // Highlight the points from one position to another on the map, see
+  // get_range_stats().
+  set_range: function(from, to) {
+    var range = this._range(from, to);
+    this.clear_range();
+    if (!range) return null;
+
+    var style = this.options.inspector_options.select_range;
+    this._range_layer = new L.Polyline(this._range_pieces(range[0], range[1]),
+      this._merge_objs(_DEFAULT_RANGE_OPTS, typeof style === 'object' ? style : {}));
+    if (this._map) this._range_layer.addTo(this._map);
+
+    var stats = this.get_range_stats(range[0], range[1]);
+    this.fire('rangeselect', { from: range[0], to: range[1], stats: stats, layer: this._range_layer });
+    return stats;
+  },
+
+  clear_range: function() {
+    this._range_start = null;
+    if (this._range_layer) {
+      this._range_layer.remove();
+      this._range_layer = null;
+      this.fire('rangeclear');
+    }
+  },
+
   get_start_time:      function() { return this._info.duration.start; },
   get_end_time:        function() { return this._info.duration.end; },
   get_moving_time:     function() { return this._info.duration.moving; },
   get_total_time:      function() { return this._info.duration.total; },
+  is_time_estimated:   function() { return this._info.duration.estimated; },
+  get_stops:           function() { return this._info.stops; },
 
   get_moving_pace:     function() { return this.get_moving_time() / this.m_to_km(this.get_distance()); },
   get_moving_pace_imp: function() { return this.get_moving_time() / this.get_distance_imp(); },
@@ -188,34 +667,9 @@ L.GPX = L.FeatureGroup.extend({
   get_elevation_loss:     function() { return this._info.elevation.loss; },
   get_elevation_gain_imp: function() { return this.to_ft(this.get_elevation_gain()); },
   get_elevation_loss_imp: function() { return this.to_ft(this.get_elevation_loss()); },
-  get_elevation_data:     function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if( mode == 'dist' )
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'ele', _this.m_to_km, null,
-            function(a, b) { return a.toFixed(2) + ' km, ' + b.toFixed(0) + ' m'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'ele', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' m'; });
-          });
-},
-  get_elevation_data_imp: function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if( mode == 'dist' )
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'ele', _this.m_to_mi, _this.to_ft,
-            function(a, b) { return a.toFixed(2) + ' mi, ' + b.toFixed(0) + ' ft'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'ele', _this.ms_to_h, _this.to_ft,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' ft'; });
-          });
-  },
+  // Deprecated, see get_series().
+  get_elevation_data:     function(mode) { return this._field_data('ele', mode, false); },
+  get_elevation_data_imp: function(mode) { return this._field_data('ele', mode, true); },
   get_elevation_max:      function() { return this._info.elevation.max; },
   get_elevation_min:      function() { return this._info.elevation.min; },
   get_elevation_max_imp:  function() { return this.to_ft(this.get_elevation_max()); },
@@ -229,98 +683,264 @@ L.GPX = L.FeatureGroup.extend({
   get_average_hr:         function() { return this._info.hr.avg; },
   get_average_temp:       function() { return this._info.atemp.avg; },
   get_average_cadence:    function() { return this._info.cad.avg; },
-  get_heartrate_data:     function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'hr', _this.m_to_km, null,
-            function(a, b) { return a.toFixed(2) + ' km, ' + b.toFixed(0) + ' bpm'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'hr', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' bpm'; });
-          });
+
+  // Deprecated, see get_series().
+  get_heartrate_data:     function(mode) { return this._field_data('hr', mode, false); },
+  get_heartrate_data_imp: function(mode) { return this._field_data('hr', mode, true); },
+  get_cadence_data:       function(mode) { return this._field_data('cad', mode, false); },
+  get_cadence_data_imp:   function(mode) { return this._field_data('cad', mode, true); },
+  get_temp_data:          function(mode) { return this._field_data('atemp', mode, false); },
+  get_temp_data_imp:      function(mode) { return this._field_data('atemp', mode, true); },
+
+  // The values of a field of the points against the distance or the elapsed
+  // time, as parts of [x, y] pairs split where the values are missing,
+  // optionally resampled every resample meters or milliseconds and reduced
+  // to max_points pairs.
+  get_series: function(options) {
+    options = this._merge_objs(_DEFAULT_SERIES_OPTS, options);
+    var _this = this, points = this._info._points, parts = [], part = null, total = 0, i;
+    var x_field = options.x == 'time' ? 'cumtime' : 'cumdist';
+    for (i = 0; i < points.length; i++) {
+      var y = points[i].meta[options.y];
+      if (y == null || typeof y !== 'number' || !isFinite(y)) {
+        part = null;
+        continue;
+      }
+      if (!part) parts.push(part = []);
+      part.push([points[i].meta[x_field], y]);
+    }
+
+    if (options.resample) {
+      parts = parts.map(function(part) { return _this._resample(part, options.resample); });
+    }
+    parts.forEach(function(part) { total += part.length; });
+    if (options.max_points && total > options.max_points) {
+      // shared between the parts by their number of points, the pairs left
+      // by the rounding going to the largest remainders
+      var shares = parts.map(function(part, i) {
+        var share = options.max_points * part.length / total;
+        return { index: i, n: Math.floor(share), rest: share - Math.floor(share) };
+      });
+      var left = options.max_points;
+      shares.forEach(function(share) { left -= share.n; });
+      shares.slice().sort(function(a, b) { return b.rest - a.rest; }).slice(0, left).forEach(function(share) { share.n++; });
+      parts = parts.map(function(part, i) { return _this._lttb(part, shares[i].n); }).filter(function(part) { return part.length; });
+    }
+
+    var imperial = options.units == 'imperial', raw = options.units == 'raw';
+    var to_x = raw ? null : options.x == 'time' ? this.ms_to_h : imperial ? this.m_to_mi : this.m_to_km;
+    return {
+      x_unit: raw ? (options.x == 'time' ? 'ms' : 'm') : options.x == 'time' ? 'h' : imperial ? 'mi' : 'km',
+      y_unit: this._unit(options.y, imperial),
+      parts: parts.map(function(part) {
+        return part.map(function(p) {
+          return [to_x ? to_x(p[0]) : p[0], _this._convert(options.y, p[1], imperial)];
+        });
+      })
+    };
   },
-  get_heartrate_data_imp: function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'hr', _this.m_to_mi, null,
-            function(a, b) { return a.toFixed(2) + ' mi, ' + b.toFixed(0) + ' bpm'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'hr', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' bpm'; });
-          });
+
+  // [distance or time, value, tooltip] points of a field, for the
+  // deprecated get_*_data() methods: one for each point, with a null value
+  // where it is missing, as before get_series().
+  _field_data: function(name, mode, imp) {
+    var _this = this, time = mode && mode != 'dist';
+    var to_x = time ? this.ms_to_h : imp ? this.m_to_mi : this.m_to_km;
+    var x_unit = time ? 'h' : imp ? 'mi' : 'km', y_unit = this._unit(name, imp);
+    return this._info._points.map(function(p) {
+      var x = to_x(p.meta[time ? 'cumtime' : 'cumdist']), y = p.meta[name];
+      y = typeof y === 'number' && isFinite(y) ? _this._convert(name, y, imp) : null;
+      return [x, y, x.toFixed(2) + ' ' + x_unit + (y == null ? '' :
+        ', ' + (name == 'ele' ? y.toFixed(0) : +y.toFixed(2)) + (y_unit ? ' ' + y_unit : ''))];
+    });
   },
-  get_cadence_data:     function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'cad', _this.m_to_km, null,
-            function(a, b) { return a.toFixed(2) + ' km, ' + b.toFixed(0) + ' rpm'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'cad', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' rpm'; });
-          });
+
+  // Training analysis, with the athlete_options.
+  set_athlete: function(athlete) {
+    this.options.athlete_options = this._merge_objs(this.options.athlete_options, athlete);
+    return this;
   },
-  get_temp_data:     function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'atemp', _this.m_to_km, null,
-            function(a, b) { return a.toFixed(2) + ' km, ' + b.toFixed(0) + ' degrees'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'atemp', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' degrees'; });
-          });
+
+  // Time spent in each heart rate or power zone, while moving.
+  get_hr_zones:    function() { return this._zones('hr', this._athlete_bounds('hr_zones', 'max_hr')); },
+  get_power_zones: function() { return this._zones('power', this._athlete_bounds('power_zones', 'ftp')); },
+
+  // [zone, minutes, tooltip] series of the time in zones, for charts.
+  get_hr_zone_data:    function() { return this._zone_data(this.get_hr_zones(), 'bpm'); },
+  get_power_zone_data: function() { return this._zone_data(this.get_power_zones(), 'W'); },
+
+  // Average power while moving, counting the time at each value.
+  get_average_power: function() {
+    var total = 0, time = 0;
+    this._each_stretch(function(a, b, t) {
+      if (b.meta.power == null) return;
+      total += b.meta.power * t;
+      time += t;
+    });
+    return time > 0 ? total / time : null;
   },
-  get_cadence_data_imp:     function(mode) {
-    mode = mode || 'dist';
-    var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'cad', _this.m_to_mi, null,
-            function(a, b) { return a.toFixed(2) + ' mi, ' + b.toFixed(0) + ' rpm'; });
-          });
-    else
-      return this._info._points.map(
-      function(p) { return _this._prepare_data_point(p, 'cumtime', 'cad', _this.ms_to_h, null,
-        function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' rpm'; });
-      });
-},
-  get_temp_data_imp:     function(mode) {
-    mode = mode || 'dist';
+
+  // Banister's training impulse, from the heart rate reserve.
+  get_trimp: function() {
+    var a = this.options.athlete_options, _this = this, trimp = 0, any = false;
+    if (!a.max_hr || a.rest_hr == null) return null;
+    this._each_stretch(function(p, q, t) {
+      if (q.meta.hr == null) return;
+      trimp += t / _MINUTE_IN_MILLIS * _this._trimp_weight((q.meta.hr - a.rest_hr) / (a.max_hr - a.rest_hr));
+      any = true;
+    });
+    return any ? trimp : null;
+  },
+
+  // Heart rate training stress: the TRIMP relative to an hour at the
+  // lactate threshold heart rate, times 100.
+  get_hrtss: function() {
+    var a = this.options.athlete_options, trimp = this.get_trimp();
+    if (trimp == null || !a.lthr) return null;
+    return trimp / (60 * this._trimp_weight((a.lthr - a.rest_hr) / (a.max_hr - a.rest_hr))) * 100;
+  },
+
+  // Fourth root of the average of the fourth power of the power averaged
+  // over the previous 30 seconds.
+  get_normalized_power: function() {
+    var rolling = [], rolling_time = 0, rolling_total = 0, total = 0, time = 0;
+    this._each_stretch(function(a, b, t) {
+      if (b.meta.power == null) return;
+      rolling.push([b.meta.power, t]);
+      rolling_total += b.meta.power * t;
+      rolling_time += t;
+      while (rolling_time - rolling[0][1] >= 30 * _SECOND_IN_MILLIS) {
+        rolling_total -= rolling[0][0] * rolling[0][1];
+        rolling_time -= rolling.shift()[1];
+      }
+      total += Math.pow(rolling_total / rolling_time, 4) * t;
+      time += t;
+    });
+    return time > 0 ? Math.pow(total / time, 0.25) : null;
+  },
+
+  get_intensity_factor: function() {
+    var np = this.get_normalized_power(), ftp = this.options.athlete_options.ftp;
+    return np != null && ftp ? np / ftp : null;
+  },
+
+  // Training stress score, from the normalized power and the moving time.
+  get_tss: function() {
+    var np = this.get_normalized_power(), ftp = this.options.athlete_options.ftp;
+    if (np == null || !ftp) return null;
+    return this.get_moving_time() / _HOUR_IN_MILLIS * np * (np / ftp) / ftp * 100;
+  },
+
+  // Heart rate drift, or aerobic decoupling: how much the power (or the
+  // speed, without power) per heart beat dropped from the first half of the
+  // moving time to the second one, in percent.
+  get_hr_drift: function() {
+    var half = this.get_moving_time() / 2, elapsed = 0, power = this.get_average_power() != null;
+    var sums = [{ work: 0, hr: 0, time: 0 }, { work: 0, hr: 0, time: 0 }];
+    this._each_stretch(function(a, b, t) {
+      elapsed += t;
+      if (b.meta.hr == null || (power && b.meta.power == null)) return;
+      var sum = sums[elapsed <= half ? 0 : 1];
+      sum.work += (power ? b.meta.power : b.meta.vel) * t;
+      sum.hr += b.meta.hr * t;
+      sum.time += t;
+    });
+    if (!sums[0].hr || !sums[1].hr || !sums[0].work) return null;
+    var first = sums[0].work / sums[0].hr, second = sums[1].work / sums[1].hr;
+    return (first - second) / first * 100;
+  },
+
+  // Look up the elevation of the points, and of the waypoints, with an
+  // elevation provider: for the points without one ('fill') or for all of
+  // them ('replace'). The statistics are computed again once done.
+  update_elevations: function(provider, mode) {
     var _this = this;
-    if(mode == 'dist')
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumdist', 'atemp', _this.m_to_mi, null,
-            function(a, b) { return a.toFixed(2) + ' mi, ' + b.toFixed(0) + ' degrees'; });
-          });
-    else
-        return this._info._points.map(
-          function(p) { return _this._prepare_data_point(p, 'cumtime', 'atemp', _this.ms_to_h, null,
-            function(a, b) { return a.toFixed(2) + ' h, ' + b.toFixed(0) + ' degrees'; });
-          });
+    var points = this._info._points.concat(this._info.waypoint_list).filter(function(p) {
+      return mode == 'replace' || p.meta.ele == null;
+    });
+
+    return Promise.resolve(points.length ? provider.get_elevations(points) : []).then(function(elevations) {
+      for (var i = 0; i < points.length; i++) {
+        if (elevations[i] == null || isNaN(elevations[i])) continue;
+        var meta = points[i].meta;
+        meta.original = meta.original || { lat: points[i].lat, lng: points[i].lng, ele: meta.ele };
+        meta.ele = elevations[i];
+      }
+      _this._recompute_stats();
+      if (_this._climb_layers) _this._show_climbs(_this.options);
+      _this.fire('elevation', { points: points.length });
+      return _this;
+    });
   },
 
   reload: function() {
+    this.clear_range();
     this._init_info();
     this.clearLayers();
     this._parse(this._gpx, this.options, this.options.async);
   },
 
   // Private methods
+  _unit: function(field, imperial) {
+    if (imperial && field == 'ele') return 'ft';
+    if (imperial && field == 'vel') return 'mph';
+    return _METRIC_UNITS[field] || (this._fields[field] || {}).unit || '';
+  },
+
+  _convert: function(field, v, imperial) {
+    if (imperial && field == 'ele') return this.to_ft(v);
+    if (imperial && field == 'vel') return this.to_miles(v);
+    return v;
+  },
+
+  // Linear interpolation of [x, y] pairs every step along x, ending with
+  // the last pair.
+  _resample: function(part, step) {
+    var out = [], j = 0, last = part[part.length - 1];
+    for (var k = 0, x = part[0][0]; x < last[0]; x = part[0][0] + ++k * step) {
+      while (j < part.length - 1 && part[j + 1][0] < x) j++;
+      var a = part[j], b = part[Math.min(j + 1, part.length - 1)], d = b[0] - a[0];
+      var t = d > 0 ? Math.max(0, Math.min(1, (x - a[0]) / d)) : 0;
+      out.push([x, a[1] + t * (b[1] - a[1])]);
+    }
+    out.push([last[0], last[1]]);
+    return out;
+  },
+
+  // Largest-Triangle-Three-Buckets downsampling of [x, y] pairs to n of
+  // them, keeping the first and the last one when n is 2 or more.
+  _lttb: function(data, n) {
+    if (n >= data.length) return data;
+    if (n < 3) return n < 2 ? data.slice(0, n) : [data[0], data[data.length - 1]];
+    var out = [data[0]], every = (data.length - 2) / (n - 2), a = 0;
+    for (var i = 0; i < n - 2; i++) {
+      // the average of the next bucket
+      var start = Math.floor((i + 1) * every) + 1, end = Math.min(Math.floor((i + 2) * every) + 1, data.length);
+      var avg_x = 0, avg_y = 0;
+      for (var j = start; j < end; j++) {
+        avg_x += data[j][0];
+        avg_y += data[j][1];
+      }
+      avg_x /= end - start;
+      avg_y /= end - start;
+
+      // the point of this bucket making the largest triangle
+      var from = Math.floor(i * every) + 1, to = Math.floor((i + 1) * every) + 1, max = -1, next = from;
+      for (j = from; j < to; j++) {
+        var area = Math.abs((data[a][0] - avg_x) * (data[j][1] - data[a][1]) -
+          (data[a][0] - data[j][0]) * (avg_y - data[a][1]));
+        if (area > max) {
+          max = area;
+          next = j;
+        }
+      }
+      out.push(data[next]);
+      a = next;
+    }
+    out.push(data[data.length - 1]);
+    return out;
+  },
+
   _merge_objs: function(a, b) {
     var _ = {};
     for (var attr in a) { _[attr] = a[attr]; }
@@ -328,97 +948,378 @@ L.GPX = L.FeatureGroup.extend({
     return _;
   },
 
-  _prepare_data_point: function(p, t1, t2, trans1, trans2, trans_tooltip) {
-    var r = [trans1 && trans1(p.meta[t1]) || p.meta[t1], trans2 && trans2(p.meta[t2]) || p.meta[t2]];
-    r.push(trans_tooltip && trans_tooltip(r[0], r[1]) || (r[0] + ': ' + r[1]));
-    return r;
-  },
-
   _init_info: function() {
-    this._info = {
+    this._info = this._merge_objs(this._init_stats(), {
       name: null,
+      metadata: this._init_metadata(),
+      waypoints: 0,
+      waypoint_list: [],
+      waypoint_layers: {},
+      tracks: [],
+      routes: [],
+      segments: []
+    });
+  },
+
+  _init_metadata: function() {
+    return { name: null, desc: null, author: null, copyright: null, links: [], time: null, keywords: [], bounds: null };
+  },
+
+  _init_stats: function() {
+    var stats = {
       length: 0.0,
       _points: [],
-      waypoints: 0,
       velocity: {max: -Infinity, min: Infinity},
       gradient: {max: -Infinity, min: Infinity},
       elevation: {gain: 0.0, loss: 0.0, max: -Infinity, min: Infinity},
-      hr: {avg: 0, _total: 0},
-      duration: {start: null, end: null, moving: 0, total: 0},
-      atemp: {avg: 0, _total: 0},
-      cad: {avg: 0, _total: 0}
+      duration: {start: null, end: null, moving: 0, total: 0, estimated: false},
+      stops: [],
+      outliers: []
     };
+    // the extension fields, like hr, cad and atemp, with the aggregations
+    // they declare
+    for (var name in this._fields) {
+      stats[name] = {avg: null, min: null, max: null, sum: null, _total: 0, _count: 0, _min: null, _max: null};
+    }
+    return stats;
+  },
+
+  // Aggregate the statistics of a segment (or a whole line) into a parent
+  // statistics object. Gaps between the two are not counted.
+  _merge_stats: function(into, from) {
+    into.length += from.length;
+    this._append(into._points, from._points);
+    ['velocity', 'gradient', 'elevation'].forEach(function(k) {
+      if (from[k].max > into[k].max) into[k].max = from[k].max;
+      if (from[k].min < into[k].min) into[k].min = from[k].min;
+    });
+    into.elevation.gain += from.elevation.gain;
+    into.elevation.loss += from.elevation.loss;
+    into.duration.moving += from.duration.moving;
+    into.duration.total += from.duration.total;
+    into.duration.estimated = into.duration.estimated || from.duration.estimated;
+    if (into.duration.start == null || from.duration.start < into.duration.start) {
+      into.duration.start = from.duration.start;
+    }
+    if (into.duration.end == null || from.duration.end > into.duration.end) {
+      into.duration.end = from.duration.end;
+    }
+    for (var name in this._fields) {
+      var a = into[name], b = from[name];
+      a._total += b._total;
+      a._count += b._count;
+      if (b._min != null && (a._min == null || b._min < a._min)) a._min = b._min;
+      if (b._max != null && (a._max == null || b._max > a._max)) a._max = b._max;
+    }
+    this._append(into.stops, from.stops);
+    this._append(into.outliers, from.outliers);
+    return into;
+  },
+
+  // Append the items of an array to another in place, in chunks to stay
+  // below the limit on the number of arguments of a call.
+  _append: function(into, from) {
+    for (var i = 0; i < from.length; i += 10000) {
+      Array.prototype.push.apply(into, from.slice(i, i + 10000));
+    }
+    return into;
+  },
+
+  _finish_stats: function(stats) {
+    for (var name in this._fields) {
+      var f = stats[name], aggregation = this._fields[name].aggregation;
+      f.avg = aggregation.indexOf('avg') > -1 && f._count ? f._total / f._count : null;
+      if (f.avg != null && this._fields[name].parser == 'int') f.avg = Math.round(f.avg);
+      f.min = aggregation.indexOf('min') > -1 ? f._min : null;
+      f.max = aggregation.indexOf('max') > -1 ? f._max : null;
+      f.sum = aggregation.indexOf('sum') > -1 ? f._total : null;
+    }
+    return stats;
   },
 
-  _load_xml: function(url, cb, options, async) {
-    if (async == undefined) async = this.options.async;
+  _load_xml: function(url, cb, options) {
     if (options == undefined) options = this.options;
 
-    var req = new window.XMLHttpRequest();
-    req.open('GET', url, async);
-    try {
-      req.overrideMimeType('text/xml'); // unsupported by IE
-    } catch(e) {}
-    req.onreadystatechange = function() {
-      if (req.readyState != 4) return;
-      if(req.status == 200) cb(req.responseXML, options);
+    var _this = this;
+    var init = this._merge_objs(options.fetch_options, options.signal ? { signal: options.signal } : {});
+    window.fetch(url, init).then(function(response) {
+      if (!response.ok) {
+        throw { err: 'HTTP error ' + response.status + ' ' + response.statusText + ' loading ' + url,
+          status: response.status, statusText: response.statusText, url: url };
+      }
+      return _this._read_response(response);
+    })['catch'](function(e) {
+      if (e.err) throw e;
+      if (e.name == 'AbortError') throw { err: 'Loading of ' + url + ' aborted', aborted: true, url: url };
+      throw { err: 'Network error loading ' + url + ': ' + e.message, error: e, url: url };
+    }).then(function(bytes) {
+      return _this._parse_bytes(bytes, cb, options);
+    })['catch'](function(e) {
+      _this._error(e);
+    });
+  },
+
+  // Read the response body, firing progress events as the chunks come in.
+  _read_response: function(response) {
+    if (!response.body || !response.body.getReader) {
+      return response.arrayBuffer().then(function(b) { return new Uint8Array(b); });
+    }
+
+    var _this = this, chunks = [], loaded = 0;
+    var total = parseInt(response.headers.get('Content-Length')) || null;
+    var reader = response.body.getReader();
+    var pump = function() {
+      return reader.read().then(function(chunk) {
+        if (chunk.done) return _this._concat_bytes(chunks, loaded);
+        chunks.push(chunk.value);
+        loaded += chunk.value.length;
+        _this.fire('progress', { stage: 'download', loaded: loaded, total: total });
+        return pump();
+      });
     };
-    req.send(null);
+    return pump();
+  },
+
+  _concat_bytes: function(chunks, length) {
+    var bytes = new Uint8Array(length), offset = 0;
+    for (var i = 0; i < chunks.length; i++) {
+      bytes.set(chunks[i], offset);
+      offset += chunks[i].length;
+    }
+    return bytes;
+  },
+
+  // Read a File, Blob, ArrayBuffer or typed array into a Uint8Array.
+  _read_bytes: function(input) {
+    if (input instanceof ArrayBuffer) {
+      return Promise.resolve(new Uint8Array(input));
+    } else if (ArrayBuffer.isView(input)) {
+      return Promise.resolve(new Uint8Array(input.buffer, input.byteOffset, input.byteLength));
+    } else if (window.Blob && input instanceof window.Blob) {
+      if (input.arrayBuffer) {
+        return input.arrayBuffer().then(function(b) { return new Uint8Array(b); });
+      }
+      return new Promise(function(resolve, reject) {
+        var reader = new window.FileReader();
+        reader.onload = function() { resolve(new Uint8Array(reader.result)); };
+        reader.onerror = function() { reject(reader.error); };
+        reader.readAsArrayBuffer(input);
+      });
+    }
+    return Promise.reject(new Error('unsupported input type'));
+  },
+
+  // Decode the bytes of a file into text, decompressing it first if it is
+  // gzip-compressed, and honoring the encoding of its XML declaration.
+  _decode: function(bytes) {
+    if (bytes.length > 1 && bytes[0] == 0x1f && bytes[1] == 0x8b) {
+      if (!window.DecompressionStream) {
+        return Promise.reject(new Error('gzip-compressed files are not supported by this browser'));
+      }
+      var _this = this;
+      var stream = new Blob([bytes]).stream().pipeThrough(new window.DecompressionStream('gzip'));
+      return new Response(stream).arrayBuffer().then(function(b) {
+        return _this._decode(new Uint8Array(b));
+      });
+    }
+
+    var encoding = 'utf-8';
+    if (bytes[0] == 0xff && bytes[1] == 0xfe) {
+      encoding = 'utf-16le';
+    } else if (bytes[0] == 0xfe && bytes[1] == 0xff) {
+      encoding = 'utf-16be';
+    } else {
+      var head = String.fromCharCode.apply(null, bytes.subarray(0, 100));
+      var m = /^(\xEF\xBB\xBF)?\s*<\?xml[^>]*encoding=["']([^"']+)["']/.exec(head);
+      if (m) encoding = m[2];
+    }
+    try {
+      return Promise.resolve(new TextDecoder(encoding).decode(bytes));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  },
+
+  _parse_bytes: function(bytes, cb, options) {
+    var _this = this;
+    return this._decode(bytes)['catch'](function(e) {
+      throw { err: 'Cannot read file: ' + e.message, error: e };
+    }).then(function(text) {
+      _this._parse_text(text, cb, options);
+    })['catch'](function(e) {
+      _this._error(e.err ? e : { err: 'Parsing failed: ' + e.message, error: e });
+    });
+  },
+
+  _error: function(e) {
+    this.fire('error', e);
+    this._ready.reject(L.Util.extend(new Error(e.err), e));
+  },
+
+  // The promise of the layer once it is loaded, replaced on each load.
+  _init_ready: function() {
+    var _this = this;
+    this.ready = new Promise(function(resolve, reject) {
+      _this._ready = { resolve: resolve, reject: reject };
+    });
+    // rejections are also reported as error events, don't make them unhandled
+    this.ready['catch'](function() {});
   },
 
   _parse: function(input, options, async) {
     var _this = this;
-    var cb = function(gpx, options) {
-      var layers = _this._parse_gpx_data(gpx, options);
-      if (!layers) {
-        _this.fire('error', { err: 'No parseable layers of type(s) ' + JSON.stringify(options.gpx_options.parseElements) });
+    this._init_ready();
+
+    var parse = function(xml, options) {
+      if (options.signal && options.signal.aborted) {
+        _this._error({ err: 'Parsing aborted', aborted: true });
         return;
       }
-      _this.addLayer(layers);
-      _this.fire('loaded', { layers: layers, element: gpx });
-    }
-    if (input.substr(0,1)==='<') { // direct XML has to start with a <
-      var parser = new DOMParser();
+      var parsererror = xml.getElementsByTagName('parsererror');
+      if (parsererror.length > 0) {
+        _this._error({ err: 'Invalid XML', details: parsererror[0].textContent });
+        return;
+      }
+      var root = xml.documentElement ? xml.documentElement.localName : null;
+      if (!L.GPX.formats[root]) {
+        _this._error({ err: 'Unsupported file format with root element <' + root + '>' });
+        return;
+      }
+      _this._loaded(_this._parse_data(xml, options, L.GPX.formats[root]), xml, options);
+    };
+    // the errors of the readers are reported the same for every input
+    var cb = function(xml, options) {
+      try {
+        parse(xml, options);
+      } catch (e) {
+        _this._error({ err: 'Parsing failed: ' + e.message, error: e });
+      }
+    };
+    if (typeof input === 'string') {
+      var text = input.replace(/^[\uFEFF\s]+/, '');
+      if (text.substr(0,1)==='<') { // direct XML has to start with a <
+        if (async) {
+          setTimeout(function() {
+            _this._parse_text(text, cb, options);
+          });
+        } else {
+          this._parse_text(text, cb, options);
+        }
+      } else {
+        this._load_xml(text, cb, options);
+      }
+    } else if (input.documentElement) { // already parsed XML document
       if (async) {
-        setTimeout(function() {
-          cb(parser.parseFromString(input, "text/xml"), options);
-        });
+        setTimeout(function() { cb(input, options); });
       } else {
-        cb(parser.parseFromString(input, "text/xml"), options);
+        cb(input, options);
       }
     } else {
-      this._load_xml(input, cb, options, async);
+      this._read_bytes(input)['catch'](function(e) {
+        throw { err: 'Cannot read file: ' + e.message, error: e };
+      }).then(function(bytes) {
+        return _this._parse_bytes(bytes, cb, options);
+      })['catch'](function(e) {
+        _this._error(e);
+      });
     }
   },
 
-  _parse_gpx_data: function(xml, options) {
-    var i, t, l, el, layers = [];
+  _parse_text: function(text, cb, options) {
+    // with gpx.worker.js only, and fields with their own parser function
+    // can't be parsed in a worker
+    if (options.worker && window.Worker && this._parse_in_worker && this._worker_fields()) {
+      this._parse_in_worker(text, cb, options);
+    } else {
+      cb(new DOMParser().parseFromString(text, "text/xml"), options);
+    }
+  },
+
+  _loaded: function(layers, element, options) {
+    var _this = this;
+    if (!layers) {
+      this._error({ err: 'No parseable layers of type(s) ' + JSON.stringify(options.gpx_options.parseElements) });
+      return;
+    }
+    this.addLayer(layers);
+
+    var done = function() {
+      if (options.pace_options.model) _this._estimate_times(options.pace_options);
+      if (options.climb_options.detect) _this._show_climbs(options);
+      _this.fire('loaded', { layers: layers, element: element });
+      _this._ready.resolve(_this);
+    };
+    if (options.elevation_options.provider) {
+      // the statistics are complete once the elevations are in
+      this.update_elevations(options.elevation_options.provider, options.elevation_options.mode).then(done, function(e) {
+        _this._error({ err: 'Elevation lookup failed: ' + (e && e.message), error: e });
+      });
+    } else {
+      done();
+    }
+  },
+
+  _parse_field: function(field, text) {
+    if (typeof field.parser === 'function') return field.parser(text);
+    if (field.parser == 'string') return text;
+    var v = field.parser == 'int' ? parseInt(text) : parseFloat(text);
+    return isNaN(v) ? null : v;
+  },
+
+  _parse_data: function(xml, options, reader) {
+    var layers = reader.call(this, xml, options) || [];
+    this._finish_stats(this._info);
 
-    var name = xml.getElementsByTagName('name');
-    if (name.length > 0) {
-      this._info.name = name[0].textContent;
+    if (options.polyline_options.color_by) {
+      // the value domain is shared by all the lines of the file
+      this._info.color_scale = this._color_scale(options.polyline_options.color_by);
+      for (var i = 0; i < layers.length; i++) {
+        if (layers[i] instanceof L.GPXColoredPolyline) layers[i].set_color_scale(this._info.color_scale);
+      }
     }
-    this._info.desc = '';
-    var desc = xml.getElementsByTagName('desc');
-    for(t = 0; t < desc.length; t++) {
-      if(desc[t].parentNode.tagName != 'wpt')
-        this._info.desc += desc[t].textContent+"\n";
+
+    if (options.marker_options.stops) {
+      layers = layers.concat(this._stop_markers(options));
     }
-    var author = xml.getElementsByTagName('author');
-    if (author.length > 0) {
-      this._info.author = author[0].textContent;
+
+    if (options.marker_options.splits) {
+      layers = layers.concat(this._split_markers(options));
     }
-    var copyright = xml.getElementsByTagName('copyright');
-    if (copyright.length > 0) {
-      this._info.copyright = copyright[0].textContent;
+
+    if (layers.length > 1) {
+       return new L.FeatureGroup(layers);
+    } else if (layers.length == 1) {
+      return layers[0];
     }
+  },
+
+  _parse_gpx_data: function(xml, options) {
+    var i, el, layers = [];
+
+    // GPX 1.0 keeps the file metadata directly under the <gpx> root element
+    var metadata = this._child(xml.documentElement, 'metadata') || xml.documentElement;
+    var time = this._child_text(metadata, 'time'), keywords = this._child_text(metadata, 'keywords');
+    var bounds = this._child(metadata, 'bounds');
+    this._info.metadata = {
+      name: this._child_text(metadata, 'name'),
+      desc: this._child_text(metadata, 'desc'),
+      author: this._parse_person(this._child(metadata, 'author')),
+      copyright: this._parse_copyright(this._child(metadata, 'copyright')),
+      links: this._parse_links(metadata),
+      time: time ? new Date(Date.parse(time)) : null,
+      keywords: keywords ? this._split_keywords(keywords) : [],
+      bounds: bounds ? L.latLngBounds(
+        [parseFloat(bounds.getAttribute('minlat')), parseFloat(bounds.getAttribute('minlon'))],
+        [parseFloat(bounds.getAttribute('maxlat')), parseFloat(bounds.getAttribute('maxlon'))]) : null
+    };
 
     var parseElements = options.gpx_options.parseElements;
     if (parseElements.indexOf('route') > -1) {
       // routes are <rtept> tags inside <rte> sections
       var routes = xml.getElementsByTagName('rte');
       for (i = 0; i < routes.length; i++) {
-        layers = layers.concat(this._parse_segment(routes[i], options, {}, 'rtept'));
+        layers = layers.concat(this._parse_route(routes[i], this._gpx_segments(routes[i], 'rtept'),
+          options, {}, this._own_line_style(routes[i]), this._parse_line_info(routes[i])));
       }
     }
 
@@ -426,24 +1327,11 @@ L.GPX = L.FeatureGroup.extend({
       // tracks are <trkpt> tags in one or more <trkseg> sections in each <trk>
       var tracks = xml.getElementsByTagName('trk');
       for (i = 0; i < tracks.length; i++) {
-        var track = tracks[i];
-        var polyline_options = this._extract_styling(track);
-
-        if (options.gpx_options.joinTrackSegments) {
-          layers = layers.concat(this._parse_segment(track, options, polyline_options, 'trkpt'));
-        } else {
-          var segments = track.getElementsByTagName('trkseg');
-          for (j = 0; j < segments.length; j++) {
-            layers = layers.concat(this._parse_segment(segments[j], options, polyline_options, 'trkpt'));
-          }
-        }
+        layers = layers.concat(this._parse_track(tracks[i], this._gpx_segments(tracks[i], 'trkpt'),
+          options, this._extract_styling(tracks[i]), this._own_line_style(tracks[i]), this._parse_line_info(tracks[i])));
       }
     }
 
-    this._info.hr.avg = Math.round(this._info.hr._total / this._info._points.length);
-    this._info.cad.avg = Math.round(this._info.cad._total / this._info._points.length);
-    this._info.atemp.avg = Math.round(this._info.atemp._total / this._info._points.length);
-
     // parse waypoints and add markers for each of them
     if (parseElements.indexOf('waypoint') > -1) {
       el = xml.getElementsByTagName('wpt');
@@ -463,202 +1351,488 @@ L.GPX = L.FeatureGroup.extend({
         if (descEl.length > 0) {
           desc = descEl[0].textContent;
         }
-
-        var linkEl = el[i].getElementsByTagName('link');
-        if (linkEl.length > 0) {
-          desc += (desc != '' ? '<br/>' : '') + '<a target="_blank" href="' + linkEl[0].getAttribute('href') + '">' + linkEl[0].getAttribute('href') + '</a>';
+        ll.meta = { name: name, desc: desc, cmt: this._child_text(el[i], 'cmt'), src: this._child_text(el[i], 'src'),
+          link: null, links: this._parse_links(el[i]), sym: null, type: null, ele: null, time: null };
+        if (ll.meta.links.length > 0) {
+          ll.meta.link = ll.meta.links[0].href;
         }
 
         var symEl = el[i].getElementsByTagName('sym');
-        var symKey = '';
         if (symEl.length > 0) {
-          symKey = symEl[0].textContent;
+          ll.meta.sym = symEl[0].textContent;
         }
-		
+
         var typeEl = el[i].getElementsByTagName('type');
-        var typeKey = '';
         if (typeEl.length > 0) {
-          typeKey = typeEl[0].textContent;
-        }
-		
-        /*
-         * Add waypoint marker based on the waypoint symbol key.
-         *
-         * First look for a configured icon for that symKey. If not found, look
-         * for a configured icon URL for that symKey and build an icon from it.
-         * Otherwise, fall back to the default icon if one was configured, or
-         * finally to the default icon URL.
-         */
-        var wptIcons = options.marker_options.wptIcons;
-        var wptIconUrls = options.marker_options.wptIconUrls;
-        var wptIconsType = options.marker_options.wptIconsType;
-        var wptIconTypeUrls = options.marker_options.wptIconTypeUrls;
-        var wptIconGenerator = options.marker_options.wptIconGenerator;
-        var symIcon;
-        if (wptIcons && wptIcons[symKey]) {
-          symIcon = wptIcons[symKey];
-        } else if (wptIconsType && wptIconsType[typeKey]){
-          symIcon = wptIconsType[typeKey];
-        } else if (wptIconUrls && wptIconUrls[symKey]){
-          symIcon = new L.GPXTrackIcon({iconUrl: wptIconUrls[symKey]});
-        } else if (wptIconTypeUrls && wptIconTypeUrls[typeKey]){
-          symIcon = new L.GPXTrackIcon({iconUrl: wptIconTypeUrls[typeKey]});	
-        } else if (wptIconGenerator && (symIcon = wptIconGenerator(symKey))) {
-        } else if (wptIcons && wptIcons['']) {
-          symIcon = wptIcons[''];
-        } else if (wptIconUrls && wptIconUrls['']) {
-          symIcon = new L.GPXTrackIcon({iconUrl: wptIconUrls['']});
-        } else {
-          console.log('No icon or icon URL configured for symbol type "' + symKey
-            + '", and no fallback configured; ignoring waypoint.');
-          continue;
+          ll.meta.type = typeEl[0].textContent;
         }
 
-        var marker = new L.Marker(ll, {
-          clickable: options.marker_options.clickable,
-          title: name,
-          icon: symIcon,
-          type: 'waypoint'
-        });
-        marker.bindPopup("<b>" + name + "</b>" + (desc.length > 0 ? '<br/>' + desc : '')).openPopup();
-        this._info.waypoints++;
-        this.fire('addpoint', { point: marker, point_type: 'waypoint', element: el[i] });
-        layers.push(marker);
+        var eleEl = el[i].getElementsByTagName('ele');
+        if (eleEl.length > 0) {
+          ll.meta.ele = parseFloat(eleEl[0].textContent);
+        }
+
+        var timeEl = el[i].getElementsByTagName('time');
+        if (timeEl.length > 0) {
+          ll.meta.time = new Date(Date.parse(timeEl[0].textContent));
+        }
+
+        var marker = this._parse_waypoint(ll, el[i], options);
+        if (marker) layers.push(marker);
       }
     }
 
-    if (layers.length > 1) {
-       return new L.FeatureGroup(layers);
-    } else if (layers.length == 1) {
-      return layers[0];
-    }
+    this._set_names();
+    return layers;
+  },
+
+  // The name and description of the file, or else those of its first track
+  // or route.
+  _set_names: function() {
+    var md = this._info.metadata, lines = this._info.tracks.concat(this._info.routes);
+    this._info.name = md.name != null ? md.name : lines.length ? lines[0].name : null;
+    this._info.desc = md.desc != null ? md.desc : lines.length ? lines[0].desc : null;
+    this._info.author = md.author ? md.author.name : null;
+    this._info.copyright = md.copyright ? md.copyright.author : null;
   },
 
-  _parse_segment: function(line, options, polyline_options, tag) {
+  // Group the points of a <trk> or <rte> by their parent <trkseg> (or <rte>).
+  _gpx_segments: function(line, tag) {
     var el = line.getElementsByTagName(tag);
-    if (!el.length) return [];
+    var segments = [], seg = null;
+    for (var i = 0; i < el.length; i++) {
+      if (seg == null || el[i].parentNode !== el[i-1].parentNode) {
+        seg = { element: el[i].parentNode, style: this._own_line_style(el[i].parentNode), points: [] };
+        segments.push(seg);
+      }
+      seg.points.push(this._parse_gpx_point(el[i]));
+    }
+    return segments;
+  },
 
-    var coords = [];
-    var markers = [];
-    var layers = [];
-    var last = null, last_ele = null;
+  _parse_gpx_point: function(el) {
+    var _, ll = this._new_point(el.getAttribute('lat'), el.getAttribute('lon'));
 
-    for (var i = 0; i < el.length; i++) {
-      var _, ll = new L.LatLng(
-        el[i].getAttribute('lat'),
-        el[i].getAttribute('lon'));
-      ll.meta = { time: null, vel: 0, ele: null, grd: null, hr: null, cad: null, atemp: null, cumdist: 0, cumtime: 0 };
-
-      _ = el[i].getElementsByTagName('time');
-      if (_.length > 0) {
-        ll.meta.time = new Date(Date.parse(_[0].textContent));
-      } else {
-        ll.meta.time = new Date('1970-01-01T00:00:00');
+    _ = el.getElementsByTagName('time');
+    if (_.length > 0) {
+      ll.meta.time = new Date(Date.parse(_[0].textContent));
+    }
+
+    _ = el.getElementsByTagName('ele');
+    if (_.length > 0) {
+      ll.meta.ele = parseFloat(_[0].textContent);
+    }
+
+    // extension fields, from the first of their namespaces that has them
+    for (var name in this._fields) {
+      var f = this._fields[name];
+      search: for (var i = 0; i < f.namespace.length; i++) {
+        for (var j = 0; j < f.element.length; j++) {
+          _ = el.getElementsByTagNameNS(f.namespace[i], f.element[j]);
+          if (_.length > 0) {
+            ll.meta[name] = this._parse_field(f, _[0].textContent);
+            break search;
+          }
+        }
       }
+    }
 
-      _ = el[i].getElementsByTagName('ele');
-      if (_.length > 0) {
-        ll.meta.ele = parseFloat(_[0].textContent);
+    // the name is kept in the meta too, for the templates and the export
+    _ = el.getElementsByTagName('name');
+    if (_.length > 0) ll.meta.name = _[0].textContent;
+    return { ll: ll, element: el, name: _.length > 0 ? _[0].textContent : null };
+  },
+
+  _parse_tcx_data: function(xml, options) {
+    var i, j, el, layers = [];
+    var parseElements = options.gpx_options.parseElements;
+
+    if (parseElements.indexOf('track') > -1) {
+      // recorded activities are <Trackpoint> tags in one or more <Lap> of each <Activity>
+      var activities = xml.getElementsByTagName('Activity');
+      for (i = 0; i < activities.length; i++) {
+        if (this._info.desc == null) this._info.desc = this._child_text(activities[i], 'Notes');
+        var laps = activities[i].getElementsByTagName('Lap');
+        var segments = [];
+        for (j = 0; j < laps.length; j++) {
+          segments.push({ element: laps[j], style: null, lap: this._tcx_lap(laps[j]),
+            points: this._tcx_points(laps[j].getElementsByTagName('Trackpoint')) });
+        }
+        layers = layers.concat(this._parse_track(activities[i], segments, options, this._extract_styling(activities[i]),
+          null, { desc: this._child_text(activities[i], 'Notes'), type: activities[i].getAttribute('Sport') }));
       }
+    }
 
-      _ = el[i].getElementsByTagName('name');
-      if (_.length > 0) {
-        var name = _[0].textContent;
-        var ptMatchers = options.marker_options.pointMatchers || [];
+    // courses are planned routes, with <CoursePoint> tags as their waypoints
+    var courses = xml.getElementsByTagName('Course');
+    for (i = 0; i < courses.length; i++) {
+      if (this._info.name == null) this._info.name = this._child_text(courses[i], 'Name');
+      if (parseElements.indexOf('route') > -1) {
+        layers = layers.concat(this._parse_route(courses[i], [{ element: courses[i], style: null,
+          points: this._tcx_points(courses[i].getElementsByTagName('Trackpoint')) }], options, {},
+          null, { name: this._child_text(courses[i], 'Name'), desc: this._child_text(courses[i], 'Notes') }));
+      }
 
-        for (var j = 0; j < ptMatchers.length; j++) {
-          if (ptMatchers[j].regex.test(name)) {
-            markers.push({ label: name, coords: ll, icon: ptMatchers[j].icon, element: el[i] });
-            break;
-          }
+      if (parseElements.indexOf('waypoint') > -1) {
+        el = courses[i].getElementsByTagName('CoursePoint');
+        for (j = 0; j < el.length; j++) {
+          var p = this._parse_tcx_point(el[j]);
+          if (!p) continue;
+          p.ll.meta = { name: p.name || '', desc: this._child_text(el[j], 'Notes') || '', cmt: null, src: null,
+            link: null, links: [], sym: null, type: this._child_text(el[j], 'PointType'), ele: p.ll.meta.ele,
+            time: this._child(el[j], 'Time') ? p.ll.meta.time : null };
+          var marker = this._parse_waypoint(p.ll, el[j], options);
+          if (marker) layers.push(marker);
         }
       }
+    }
+
+    this._info.metadata.name = this._info.name;
+    this._info.metadata.desc = this._info.desc;
+    return layers;
+  },
+
+  // The summary the device recorded for a <Lap>.
+  _tcx_lap: function(el) {
+    var _this = this;
+    var num = function(v) { return v == null || v === '' ? null : parseFloat(v); };
+    var value = function(name) { var c = _this._child(el, name); return c ? num(_this._child_text(c, 'Value')) : null; };
+    var time = num(this._child_text(el, 'TotalTimeSeconds'));
+    return {
+      start: el.getAttribute('StartTime') ? new Date(el.getAttribute('StartTime')) : null,
+      time: time == null ? null : time * _SECOND_IN_MILLIS,
+      distance: num(this._child_text(el, 'DistanceMeters')),
+      max_speed: num(this._child_text(el, 'MaximumSpeed')),
+      calories: num(this._child_text(el, 'Calories')),
+      avg_hr: value('AverageHeartRateBpm'),
+      max_hr: value('MaximumHeartRateBpm'),
+      intensity: this._child_text(el, 'Intensity'),
+      trigger: this._child_text(el, 'TriggerMethod')
+    };
+  },
+
+  _tcx_points: function(el) {
+    var points = [];
+    for (var i = 0; i < el.length; i++) {
+      var p = this._parse_tcx_point(el[i]);
+      if (p) points.push(p);
+    }
+    return points;
+  },
+
+  _parse_tcx_point: function(el) {
+    // trackpoints recorded while the device had no GPS fix have no <Position>
+    var pos = this._child(el, 'Position');
+    if (!pos) return null;
+
+    var _, ll = this._new_point(
+      this._child_text(pos, 'LatitudeDegrees'),
+      this._child_text(pos, 'LongitudeDegrees'));
+
+    _ = this._child_text(el, 'Time');
+    if (_ != null) ll.meta.time = new Date(Date.parse(_));
+
+    _ = this._child_text(el, 'AltitudeMeters');
+    if (_ != null) ll.meta.ele = parseFloat(_);
+
+    _ = this._child(el, 'HeartRateBpm');
+    if (_) ll.meta.hr = parseInt(this._child_text(_, 'Value'));
+
+    _ = this._child_text(el, 'Cadence');
+    if (_ == null) {
+      // running cadence is only available in the activity extension
+      _ = el.getElementsByTagNameNS('*', 'RunCadence');
+      _ = _.length > 0 ? _[0].textContent : null;
+    }
+    if (_ != null) ll.meta.cad = parseInt(_);
+
+    _ = el.getElementsByTagNameNS('*', 'Watts');
+    if (_.length > 0) ll.meta.power = parseFloat(_[0].textContent);
+
+    return { ll: ll, element: el, name: this._child_text(el, 'Name') };
+  },
+
+  _parse_kml_data: function(xml, options) {
+    var i, j, layers = [];
+    var parseElements = options.gpx_options.parseElements;
 
-      _ = el[i].getElementsByTagNameNS('*', 'hr');
-      if (_.length > 0) {
-        ll.meta.hr = parseInt(_[0].textContent);
-        this._info.hr._total += ll.meta.hr;
+    var doc = xml.getElementsByTagName('Document')[0] || xml.documentElement;
+    this._info.name = this._child_text(doc, 'name');
+    this._info.desc = this._child_text(doc, 'description');
+    this._info.metadata.name = this._info.name;
+    this._info.metadata.desc = this._info.desc;
+
+    var placemarks = xml.getElementsByTagName('Placemark');
+    for (i = 0; i < placemarks.length; i++) {
+      var placemark = placemarks[i];
+      var style = this._kml_line_style(xml, placemark);
+      var segments = [];
+
+      // a <gx:MultiTrack> or <MultiGeometry> holds several segments
+      var el = placemark.getElementsByTagNameNS('*', 'Track');
+      for (j = 0; j < el.length; j++) {
+        segments.push({ element: el[j], style: null, points: this._kml_track_points(el[j]) });
+      }
+      el = placemark.getElementsByTagName('LineString');
+      for (j = 0; j < el.length; j++) {
+        segments.push({ element: el[j], style: null,
+          points: this._kml_coordinates(this._child_text(el[j], 'coordinates'), el[j]) });
       }
 
-      _ = el[i].getElementsByTagNameNS('*', 'cad');
-      if (_.length > 0) {
-        ll.meta.cad = parseInt(_[0].textContent);
-        this._info.cad._total += ll.meta.cad;
+      if (segments.length > 0) {
+        if (parseElements.indexOf('track') > -1) {
+          layers = layers.concat(this._parse_track(placemark, segments, options, style || {}, style, {
+            name: this._child_text(placemark, 'name'), desc: this._child_text(placemark, 'description') }));
+        }
+        continue;
       }
 
-      _ = el[i].getElementsByTagNameNS('*', 'atemp');
-      if (_.length > 0) {
-        ll.meta.atemp = parseInt(_[0].textContent);
-        this._info.atemp._total += ll.meta.atemp;
+      el = placemark.getElementsByTagName('Point');
+      if (el.length > 0 && parseElements.indexOf('waypoint') > -1) {
+        var coords = this._kml_coordinates(this._child_text(el[0], 'coordinates'), el[0]);
+        if (!coords.length) continue;
+        var ll = coords[0].ll;
+        ll.meta = { name: this._child_text(placemark, 'name') || '',
+          desc: this._child_text(placemark, 'description') || '', cmt: null, src: null, link: null, links: [],
+          sym: null, type: null, ele: ll.meta.ele, time: null };
+        var marker = this._parse_waypoint(ll, placemark, options);
+        if (marker) layers.push(marker);
       }
+    }
+
+    return layers;
+  },
 
-      if (ll.meta.ele > this._info.elevation.max) {
-        this._info.elevation.max = ll.meta.ele;
+  // <coordinates> are whitespace separated "lon,lat[,alt]" tuples.
+  _kml_coordinates: function(text, element) {
+    var points = [], tuples = (text || '').trim().split(/\s+/);
+    for (var i = 0; i < tuples.length; i++) {
+      var c = tuples[i].split(',');
+      if (c.length < 2 || isNaN(parseFloat(c[0])) || isNaN(parseFloat(c[1]))) continue;
+      var ll = this._new_point(c[1], c[0]);
+      if (c.length > 2) ll.meta.ele = parseFloat(c[2]);
+      points.push({ ll: ll, element: element, name: null });
+    }
+    return points;
+  },
+
+  // <gx:Track> has parallel lists of <when> and <gx:coord> ("lon lat alt")
+  // elements, and optionally <gx:SimpleArrayData> lists for sensor data.
+  _kml_track_points: function(track) {
+    var points = [], i, j;
+    var when = track.getElementsByTagName('when');
+    var coord = track.getElementsByTagNameNS('*', 'coord');
+    for (i = 0; i < coord.length; i++) {
+      var c = coord[i].textContent.trim().split(/\s+/);
+      var ll = this._new_point(c[1], c[0]);
+      if (c.length > 2) ll.meta.ele = parseFloat(c[2]);
+      if (i < when.length) ll.meta.time = new Date(Date.parse(when[i].textContent));
+      points.push({ ll: ll, element: coord[i], name: null });
+    }
+
+    var arrays = track.getElementsByTagNameNS('*', 'SimpleArrayData');
+    for (i = 0; i < arrays.length; i++) {
+      var name = arrays[i].getAttribute('name');
+      var field = _KML_ARRAY_FIELDS[name] || (this._fields[name] ? name : null);
+      if (!field || !this._fields[field]) continue;
+      var values = arrays[i].getElementsByTagNameNS('*', 'value');
+      for (j = 0; j < values.length && j < points.length; j++) {
+        if (values[j].textContent !== '') points[j].ll.meta[field] = this._parse_field(this._fields[field], values[j].textContent);
       }
+    }
+    return points;
+  },
 
-      if (ll.meta.ele < this._info.elevation.min) {
-        this._info.elevation.min = ll.meta.ele;
+  // Line style of a placemark, either inline or shared through a <styleUrl>.
+  _kml_line_style: function(xml, placemark) {
+    var el = this._child(placemark, 'Style'), i;
+    var url = this._child_text(placemark, 'styleUrl');
+    if (!el && url && url.charAt(0) == '#') {
+      var styles = xml.getElementsByTagName('Style');
+      for (i = 0; i < styles.length; i++) {
+        if (styles[i].getAttribute('id') == url.substr(1)) el = styles[i];
       }
+    }
+    el = el && this._child(el, 'LineStyle');
+    if (!el) return null;
+
+    var style = {};
+    var color = this._child_text(el, 'color');
+    if (color && color.length == 8) {
+      // KML colors are aabbggrr
+      style.color = '#' + color.substr(6, 2) + color.substr(4, 2) + color.substr(2, 2);
+      style.opacity = (parseInt(color.substr(0, 2), 16) / 255).toFixed(2);
+    }
+    var width = this._child_text(el, 'width');
+    if (width != null) style.weight = width;
+    return style;
+  },
 
-      ll.meta.cumdist = this._info.length;
-      this._info._points.push(ll);
-      this._info.duration.end = ll.meta.time;
+  _new_point: function(lat, lon) {
+    var ll = new L.LatLng(lat, lon);
+    ll.meta = { time: new Date(_DEFAULT_TIME), vel: 0, ele: null, grd: null, cumdist: 0, cumtime: 0 };
+    for (var name in this._fields) ll.meta[name] = null;
+    return ll;
+  },
 
-      if (last != null) {
-        var dist = this._dist3d(last, ll);
-        this._info.length += dist;
+  _parse_waypoint: function(ll, element, options) {
+    var name = ll.meta.name || '';
+    var symKey = ll.meta.sym || '';
+    var typeKey = ll.meta.type || '';
+    this._info.waypoint_list.push(ll);
+
+    /*
+     * Add waypoint marker based on the waypoint symbol key.
+     *
+     * First look for a configured icon for that symKey. If not found, look
+     * for a configured icon URL for that symKey and build an icon from it.
+     * Otherwise, fall back to the default icon if one was configured, or
+     * finally to the default icon URL.
+     */
+    var wptIcons = options.marker_options.wptIcons;
+    var wptIconUrls = options.marker_options.wptIconUrls;
+    var wptIconsType = options.marker_options.wptIconsType;
+    var wptIconTypeUrls = options.marker_options.wptIconTypeUrls;
+    var wptIconGenerator = options.marker_options.wptIconGenerator;
+    var symIcon;
+    if (wptIcons && wptIcons[symKey]) {
+      symIcon = wptIcons[symKey];
+    } else if (wptIconsType && wptIconsType[typeKey]){
+      symIcon = wptIconsType[typeKey];
+    } else if (wptIconUrls && wptIconUrls[symKey]){
+      symIcon = new L.GPXTrackIcon({iconUrl: wptIconUrls[symKey]});
+    } else if (wptIconTypeUrls && wptIconTypeUrls[typeKey]){
+      symIcon = new L.GPXTrackIcon({iconUrl: wptIconTypeUrls[typeKey]});
+    } else if (wptIconGenerator && (symIcon = wptIconGenerator(symKey))) {
+    } else if (wptIcons && wptIcons['']) {
+      symIcon = wptIcons[''];
+    } else if (wptIconUrls && wptIconUrls['']) {
+      symIcon = new L.GPXTrackIcon({iconUrl: wptIconUrls['']});
+    } else {
+      console.log('No icon or icon URL configured for symbol type "' + symKey
+        + '", and no fallback configured; ignoring waypoint.');
+      return null;
+    }
 
-        var t = Math.abs(ll.meta.time - last.meta.time);
-        this._info.duration.total += t;
-        if (t < options.max_point_interval) {
-          this._info.duration.moving += t;
-          ll.meta.vel = 3600*dist/t;
-          if (ll.meta.vel > this._info.velocity.max) {
-            this._info.velocity.max = ll.meta.vel;
-          } else if (ll.meta.vel > 0 && ll.meta.vel < this._info.velocity.min) {
-            this._info.velocity.min = ll.meta.vel;
-          }
+    var marker = new L.Marker(ll, {
+      clickable: options.marker_options.clickable,
+      title: name,
+      icon: symIcon,
+      type: 'waypoint'
+    });
+    this._bind_templates(marker, 'waypoint', ll.meta, options);
+    this._info.waypoints++;
+    this.fire('addpoint', { point: marker, point_type: 'waypoint', element: element });
+    return this._waypoint_group(marker, ll, options);
+  },
+
+  // With group_by or cluster set, the waypoint markers go into one layer for
+  // each sym or type, which is returned when first created.
+  _waypoint_group: function(marker, ll, options) {
+    var opts = options.waypoint_options;
+    if (!opts.group_by && !opts.cluster) return marker;
+    var key = opts.group_by ? ll.meta[opts.group_by] || '' : '';
+    var group = this._info.waypoint_layers[key], created = !group;
+    if (created) group = this._info.waypoint_layers[key] = opts.cluster ? opts.cluster(key) : L.featureGroup();
+    group.addLayer(marker);
+    return created ? group : null;
+  },
+
+  _parse_route: function(line, segments, options, polyline_options, style, info) {
+    var layers = this._parse_line(line, segments, options, polyline_options, style);
+    if (layers.length > 0) this._info.routes.push(L.Util.extend(layers[0].stats, this._line_info(info)));
+    return layers;
+  },
+
+  _parse_track: function(line, segments, options, polyline_options, style, info) {
+    var layers = [], stats = null, l;
+
+    if (options.gpx_options.joinTrackSegments) {
+      layers = this._parse_line(line, segments, options, polyline_options, style);
+      if (layers.length > 0) stats = layers[0].stats;
+    } else {
+      for (var i = 0; i < segments.length; i++) {
+        l = this._parse_line(segments[i].element, [segments[i]], options,
+          this._merge_objs(polyline_options, segments[i].style), segments[i].style);
+        if (l.length == 0) continue;
+        if (stats == null) {
+          stats = this._init_stats();
+          stats.segments = [];
+          stats.style = style || null;
         }
-        ll.meta.cumtime = last.meta.cumtime + t;
-      } else if (this._info.duration.start == null) {
-        this._info.duration.start = ll.meta.time;
+        this._merge_stats(stats, l[0].stats);
+        stats.segments = stats.segments.concat(l[0].stats.segments);
+        layers = layers.concat(l);
       }
+      if (stats != null) this._finish_stats(stats);
+    }
 
-      // for better accuracy we filter out some noise using an elevation threshold. See https://www.gpsvisualizer.com/tutorials/elevation_gain.html
-      if (last_ele != null) {
-        var t = ll.meta.ele - last_ele.meta.ele;
-        if (Math.abs(t) > options.elevation_threshold)
-        {
-          if (t > 0) {
-            this._info.elevation.gain += t;
-          } else {
-            this._info.elevation.loss += -t;
-          }
+    if (stats != null) {
+      this._info.tracks.push(L.Util.extend(stats, this._line_info(info)));
+      this._info.segments = this._info.segments.concat(stats.segments);
+    }
+    return layers;
+  },
 
-          var dist = this._dist3d(last_ele, ll);
-          ll.meta.grd = 100*t/(Math.sqrt(dist*dist-t*t));
-          if (ll.meta.grd > this._info.gradient.max) {
-            this._info.gradient.max = ll.meta.grd;
-          }
-          if (ll.meta.grd < this._info.gradient.min) {
-            this._info.gradient.min = ll.meta.grd;
-          }
+  // The name and the other details of a track or route.
+  _line_info: function(info) {
+    return this._merge_objs({ name: null, cmt: null, desc: null, src: null, links: [], number: null, type: null }, info);
+  },
 
-          last_ele = ll;
-        } else {
-          ll.meta.grd = last_ele.meta.grd;  // should really be the next (average) gradient, but we don't know it at this point
+  _parse_line: function(line, segments, options, polyline_options, style) {
+    var coords = [];
+    var markers = [];
+    var layers = [];
+    var first = null, last = null;
+    var ptMatchers = options.marker_options.pointMatchers || [];
+    var stats = this._init_stats();
+    stats.segments = [];
+    stats.style = style || null;
+
+    for (var k = 0; k < segments.length; k++) {
+      if (!segments[k].points.length) continue;
+
+      // every segment keeps its own statistics, the line aggregates them
+      // without counting the gaps in between; they may have been computed
+      // off the main thread already
+      var seg = segments[k].stats || this._segment_stats(segments[k].points, options);
+      seg.style = segments[k].style || null;
+      if (segments[k].lap) seg.lap = segments[k].lap;
+
+      var dist = this._info.length + stats.length;
+      var time = this._info.duration.total + stats.duration.total;
+      for (var i = 0; i < segments[k].points.length; i++) {
+        var p = segments[k].points[i], ll = p.ll;
+
+        if (p.name != null) {
+          for (var j = 0; j < ptMatchers.length; j++) {
+            if (ptMatchers[j].regex.test(p.name)) {
+              markers.push({ label: p.name, coords: ll, icon: ptMatchers[j].icon, element: p.element });
+              break;
+            }
+          }
         }
-      } else {
-        last_ele = ll;
+
+        ll.meta.cumdist += dist;
+        ll.meta.cumtime += time;
+        coords.push(ll);
+        first = first || p;
+        last = p;
       }
 
-      last = ll;
-      coords.push(ll);
+      this._merge_stats(stats, seg);
+      stats.segments.push(seg);
     }
 
+    if (!coords.length) return [];
+    this._merge_stats(this._info, this._finish_stats(stats));
+
     // add track
-    var l = new L.Polyline(coords, this._extract_styling(line, polyline_options, options.polyline_options));
-    this.fire('addline', { line: l, element: line });
+    var style = this._extract_styling(line, polyline_options, options.polyline_options);
+    var l = style.color_by ? new L.GPXColoredPolyline(coords, style) :
+      style.simplify ? new L.GPXSimplifiedPolyline(coords, style) : new L.Polyline(coords, style);
+    l.stats = stats;
+    this.fire('addline', { line: l, element: line, stats: stats });
     layers.push(l);
 
     if (options.marker_options.startIcon || options.marker_options.startIconUrl) {
@@ -667,7 +1841,8 @@ L.GPX = L.FeatureGroup.extend({
         clickable: options.marker_options.clickable,
         icon: options.marker_options.startIcon || new L.GPXTrackIcon({iconUrl: options.marker_options.startIconUrl})
       });
-      this.fire('addpoint', { point: marker, point_type: 'start', element: el[0] });
+      this._bind_templates(marker, 'start', this._merge_objs(coords[0].meta, { name: first.name }), options);
+      this.fire('addpoint', { point: marker, point_type: 'start', element: first.element });
       layers.push(marker);
     }
 
@@ -677,7 +1852,8 @@ L.GPX = L.FeatureGroup.extend({
         clickable: options.marker_options.clickable,
         icon: options.marker_options.endIcon || new L.GPXTrackIcon({iconUrl: options.marker_options.endIconUrl})
       });
-      this.fire('addpoint', { point: marker, point_type: 'end', element: el[el.length-1] });
+      this._bind_templates(marker, 'end', this._merge_objs(coords[coords.length-1].meta, { name: last.name }), options);
+      this.fire('addpoint', { point: marker, point_type: 'end', element: last.element });
       layers.push(marker);
     }
 
@@ -688,6 +1864,7 @@ L.GPX = L.FeatureGroup.extend({
         title: markers[i].label,
         icon: markers[i].icon
       });
+      this._bind_templates(marker, 'label', this._merge_objs(markers[i].coords.meta, { name: markers[i].label }), options);
       this.fire('addpoint', { point: marker, point_type: 'label', element: markers[i].element });
       layers.push(marker);
     }
@@ -695,22 +1872,929 @@ L.GPX = L.FeatureGroup.extend({
     return layers;
   },
 
+  _split_markers: function(options) {
+    var _this = this, unit = options.marker_options.splits === true ? 'km' : options.marker_options.splits;
+    return this.get_splits(unit).filter(function(split) {
+      return !split.partial;
+    }).map(function(split) {
+      var marker = new L.Marker(split.end, {
+        clickable: options.marker_options.clickable,
+        title: split.split + (typeof unit === 'string' ? ' ' + unit : ''),
+        icon: options.marker_options.splitIcon ||
+          L.divIcon({ className: 'gpx-split-marker', html: String(split.split), iconSize: [20, 20] })
+      });
+      _this.fire('addpoint', { point: marker, point_type: 'split', element: null, split: split });
+      return marker;
+    });
+  },
+
+  _stop_markers: function(options) {
+    var _this = this;
+    return this.get_stops().map(function(stop) {
+      var marker = new L.Marker(stop.latlng, {
+        clickable: options.marker_options.clickable,
+        title: _this.get_duration_string(stop.duration, true),
+        icon: options.marker_options.stopIcon ||
+          L.divIcon({ className: 'gpx-stop-marker', iconSize: [12, 12] })
+      });
+      _this.fire('addpoint', { point: marker, point_type: 'stop', element: null, stop: stop });
+      return marker;
+    });
+  },
+
+  // Split the elevation profile at its turning points, ignoring the changes
+  // of direction smaller than the tolerance, and keep the stretches going
+  // up or down enough.
+  _climbs: function(type) {
+    var opts = this.options.climb_options, points = this._info._points, pts = [];
+    for (var i = 0; i < points.length; i++) {
+      if (points[i].meta.ele != null) pts.push(i);
+    }
+    if (pts.length < 2) return [];
+
+    var ele = function(i) { return points[i].meta.ele; };
+    var turns = [pts[0]], dir = 0, hi = pts[0], lo = pts[0];
+    for (i = 1; i < pts.length; i++) {
+      var k = pts[i];
+      if (dir >= 0 && ele(k) > ele(hi)) hi = k;
+      if (dir <= 0 && ele(k) < ele(lo)) lo = k;
+      if (dir <= 0 && ele(k) - ele(lo) >= opts.tolerance) {
+        if (lo != turns[turns.length - 1]) turns.push(lo);
+        dir = 1;
+        hi = k;
+      } else if (dir >= 0 && ele(hi) - ele(k) >= opts.tolerance) {
+        if (hi != turns[turns.length - 1]) turns.push(hi);
+        dir = -1;
+        lo = k;
+      }
+    }
+    if (dir != 0) turns.push(dir > 0 ? hi : lo);
+    if (turns[turns.length - 1] != pts[pts.length - 1]) turns.push(pts[pts.length - 1]);
+
+    var climbs = [];
+    for (i = 1; i < turns.length; i++) {
+      var from = turns[i - 1], to = turns[i], gain = ele(to) - ele(from);
+      // without the flat before it
+      for (var j = from + 1; j < to; j++) {
+        if (ele(j) == ele(from)) from = j;
+      }
+      var length = points[to].meta.cumdist - points[from].meta.cumdist;
+      if ((gain > 0 ? 'climb' : 'descent') != type || length <= 0) continue;
+      if (Math.abs(gain) < opts.min_gain || Math.abs(gain) / length * 100 < opts.min_gradient) continue;
+
+      var climb = { type: type, from: from, to: to, length: length, gain: gain,
+        avg_gradient: gain / length * 100, max_gradient: this._max_gradient(from, to, gain > 0, opts.gradient_window) };
+      climb.score = Math.abs(opts.score(climb));
+      climb.category = null;
+      for (j = 0; type == 'climb' && j < opts.categories.length; j++) {
+        if (climb.score >= opts.categories[j].score) climb.category = opts.categories[j].name;
+      }
+      climbs.push(climb);
+    }
+    return climbs;
+  },
+
+  // The steepest gradient, in %, over a distance of at least span meters,
+  // or over the whole stretch when shorter.
+  _max_gradient: function(from, to, up, span) {
+    var points = this._info._points, best = null, j = from;
+    for (var i = from; i < to; i++) {
+      if (points[i].meta.ele == null) continue;
+      while (j < to && (points[j].meta.ele == null || points[j].meta.cumdist - points[i].meta.cumdist < span)) j++;
+      var d = points[j].meta.cumdist - points[i].meta.cumdist;
+      if (d <= 0 || points[j].meta.ele == null || (d < span && best != null)) break;
+      var g = (points[j].meta.ele - points[i].meta.ele) / d * 100;
+      if (best == null || (up ? g > best : g < best)) best = g;
+    }
+    return best;
+  },
+
+  // Fire addclimb for every climb and descent, with the line highlighting it
+  // on the map if asked for.
+  _show_climbs: function(options) {
+    var _this = this, opts = options.climb_options;
+    (this._climb_layers || []).forEach(function(l) { _this.removeLayer(l); });
+    this._climb_layers = [];
+    this.get_climbs().concat(this.get_descents()).sort(function(a, b) {
+      return a.from - b.from;
+    }).forEach(function(climb) {
+      var line = null;
+      if (opts.highlight) {
+        var color = climb.type == 'descent' ? opts.descent_color : opts.color;
+        opts.categories.forEach(function(c) { if (c.name == climb.category) color = c.color; });
+        line = new L.Polyline(_this._range_pieces(climb.from, climb.to), _this._merge_objs(
+          { color: color, weight: 6, opacity: 0.9 }, typeof opts.highlight === 'object' ? opts.highlight : {}));
+        line.climb = climb;
+        _this.addLayer(line);
+        _this._climb_layers.push(line);
+      }
+      _this.fire('addclimb', { climb: climb, line: line });
+    });
+  },
+
+  // Statistics of a single segment, with the distance and time of each point
+  // from the start of the segment.
+  _segment_stats: function(points, options) {
+    var stats = this._init_stats(), last_ele = null;
+    stats.outliers = this._filter_points(points, options);
+    for (var i = 0; i < points.length; i++) {
+      var ll = points[i].ll;
+      last_ele = this._add_point(stats, ll, options, last_ele);
+      ll.meta.cumdist = stats.length;
+      ll.meta.cumtime = stats.duration.total;
+    }
+    if (options.stop_options && options.stop_options.detect) this._detect_stops(stats, options);
+    return this._finish_stats(stats);
+  },
+
+  /*
+   * Clean up the points of a segment before computing its statistics: remove
+   * the fixes implying an impossible speed or acceleration, drop elevation
+   * spikes, then smooth the positions and elevations. The original values are
+   * kept in meta.original. Returns the points removed.
+   */
+  _filter_points: function(points, options) {
+    var _this = this, opts = options.filter_options || {}, removed = [], i;
+    if ((!opts.outliers && !opts.smooth) || points.length < 2) return removed;
+
+    points.forEach(function(p) {
+      p.ll.meta.original = { lat: p.ll.lat, lng: p.ll.lng, ele: p.ll.meta.ele };
+    });
+
+    if (opts.outliers) {
+      var max = opts.outliers;
+      var seconds = function(a, b) { return Math.abs(b.meta.time - a.meta.time) / 1000; };
+      var speed = function(a, b) { return _this._dist2d(a, b) / seconds(a, b); };
+      // b can't be reached from a, which was moving at speed v (in m/s)
+      var bad = function(a, b, v) {
+        var dt = seconds(a, b), s = speed(a, b);
+        if (!(dt > 0)) return false;
+        return s * 3.6 > max.max_speed || (v != null && Math.abs(s - v) / dt > max.max_acceleration);
+      };
+      var kept = [], prev = null, v = null;
+      for (i = 0; i < points.length; i++) {
+        var ll = points[i].ll, next = points[i+1] ? points[i+1].ll : null;
+        // a spike goes away and comes back: neither this point can be reached
+        // from the previous one nor the next one from it, while the next one
+        // can be reached from the previous one
+        var spike = prev ?
+          bad(prev, ll, v) && (!next || (bad(ll, next) && !bad(prev, next, v))) :
+          next && points[i+2] && bad(ll, next) && !bad(next, points[i+2].ll);
+        if (spike) {
+          removed.push(ll);
+          continue;
+        }
+
+        if (prev && ll.meta.ele != null && prev.meta.ele != null && seconds(prev, ll) > 0 &&
+            Math.abs(ll.meta.ele - prev.meta.ele) / seconds(prev, ll) > max.max_climb &&
+            (!next || next.meta.ele == null || seconds(ll, next) == 0 ||
+             Math.abs(next.meta.ele - ll.meta.ele) / seconds(ll, next) > max.max_climb)) {
+          ll.meta.ele = prev.meta.ele;
+        }
+
+        v = prev && seconds(prev, ll) > 0 ? speed(prev, ll) : v;
+        prev = ll;
+        kept.push(points[i]);
+      }
+      points.length = 0;
+      kept.forEach(function(p) { points.push(p); });
+    }
+
+    if (opts.smooth) {
+      var lls = points.map(function(p) { return p.ll; });
+      var set = function(key, values) {
+        for (var i = 0; i < lls.length; i++) {
+          if (key == 'ele') lls[i].meta.ele = values[i]; else lls[i][key] = values[i];
+        }
+      };
+      if (opts.smooth.position) {
+        set('lat', this._smooth_values(lls.map(function(ll) { return ll.lat; }), lls, opts.smooth, 1 / 111320));
+        set('lng', this._smooth_values(lls.map(function(ll) { return ll.lng; }), lls, opts.smooth,
+          1 / (111320 * Math.cos(this._deg2rad(lls[0].lat)))));
+      }
+      if (opts.smooth.elevation) {
+        set('ele', this._smooth_values(lls.map(function(ll) { return ll.meta.ele; }), lls, opts.smooth, 1));
+      }
+    }
+    return removed;
+  },
+
+  // Smooth a series of values, skipping the missing ones. scale converts
+  // meters into the unit of the values, for the Kalman filter.
+  _smooth_values: function(values, lls, opts, scale) {
+    var out = values.slice(), i, j;
+    if (opts.algorithm == 'kalman') {
+      // one-dimensional filter, its variance growing with the time since
+      // the last point at the given noise speed
+      var x = null, variance = -1, last = null;
+      var r = Math.pow(opts.accuracy * scale, 2), q = Math.pow(opts.noise * scale, 2);
+      for (i = 0; i < values.length; i++) {
+        if (values[i] == null) continue;
+        if (variance < 0) {
+          x = values[i];
+          variance = r;
+        } else {
+          var dt = Math.abs(lls[i].meta.time - last.meta.time) / 1000;
+          variance += (dt > 0 ? dt : 1) * q;
+          var k = variance / (variance + r);
+          x += k * (values[i] - x);
+          variance *= 1 - k;
+        }
+        last = lls[i];
+        out[i] = x;
+      }
+      return out;
+    }
+
+    var half = Math.floor(opts.window / 2);
+    for (i = 0; i < values.length; i++) {
+      if (values[i] == null) continue;
+      var w = [];
+      for (j = Math.max(0, i - half); j <= Math.min(values.length - 1, i + half); j++) {
+        if (values[j] != null) w.push(values[j]);
+      }
+      if (opts.algorithm == 'median') {
+        w.sort(function(a, b) { return a - b; });
+        out[i] = w.length % 2 ? w[(w.length - 1) / 2] : (w[w.length / 2 - 1] + w[w.length / 2]) / 2;
+      } else {
+        out[i] = w.reduce(function(a, b) { return a + b; }, 0) / w.length;
+      }
+    }
+    return out;
+  },
+
+  // Find where the device stayed in place: runs of points slower than the
+  // speed threshold, or not further than the radius from the first one of the
+  // run to cope with GPS jitter, lasting at least the minimum duration. Their
+  // time is taken out of the moving time. Pauses in the recording end the
+  // runs, they are not counted as moving time already.
+  _detect_stops: function(stats, options) {
+    var opts = options.stop_options, pts = stats._points, i = 0, j, k;
+    while (i < pts.length - 1) {
+      for (j = i + 1; j < pts.length; j++) {
+        var paused = Math.abs(pts[j].meta.time - pts[j-1].meta.time) >= options.max_point_interval && !pts[j].meta.time_estimated;
+        if (paused || !(pts[j].meta.vel < opts.speed || this._dist2d(pts[i], pts[j]) <= opts.radius)) break;
+      }
+      j--;
+
+      var duration = Math.abs(pts[j].meta.time - pts[i].meta.time);
+      if (j == i || duration < opts.min_duration) {
+        i++;
+        continue;
+      }
+
+      for (k = i + 1; k <= j; k++) {
+        var t = Math.abs(pts[k].meta.time - pts[k-1].meta.time);
+        if (t < options.max_point_interval || pts[k].meta.time_estimated) stats.duration.moving -= t;
+      }
+      stats.stops.push({
+        latlng: pts[i],
+        start: pts[i].meta.time,
+        end: pts[j].meta.time,
+        duration: duration,
+        distance: pts[j].meta.cumdist - pts[i].meta.cumdist
+      });
+      i = j;
+    }
+  },
+
+  // Add a point to the statistics of its segment. last_ele is the last point
+  // that changed the elevation gain; the new one is returned.
+  _add_point: function(stats, ll, options, last_ele) {
+    var last = stats._points.length ? stats._points[stats._points.length-1] : null;
+
+    if (ll.meta.time_estimated) stats.duration.estimated = true;
+
+    for (var name in this._fields) {
+      var v = ll.meta[name], f = stats[name];
+      if (v == null || typeof v !== 'number' || isNaN(v)) continue;
+      f._total += v;
+      f._count++;
+      if (f._min == null || v < f._min) f._min = v;
+      if (f._max == null || v > f._max) f._max = v;
+    }
+
+    if (ll.meta.ele > stats.elevation.max) {
+      stats.elevation.max = ll.meta.ele;
+    }
+
+    if (ll.meta.ele < stats.elevation.min) {
+      stats.elevation.min = ll.meta.ele;
+    }
+
+    stats._points.push(ll);
+    stats.duration.end = ll.meta.time;
+
+    if (last != null) {
+      var dist = this._dist3d(last, ll);
+      stats.length += dist;
+
+      var t = Math.abs(ll.meta.time - last.meta.time);
+      stats.duration.total += t;
+      // estimated times have no pauses
+      if (t < options.max_point_interval || ll.meta.time_estimated) {
+        stats.duration.moving += t;
+        ll.meta.vel = 3600*dist/t;
+        if (ll.meta.vel > stats.velocity.max) {
+          stats.velocity.max = ll.meta.vel;
+        } else if (ll.meta.vel > 0 && ll.meta.vel < stats.velocity.min) {
+          stats.velocity.min = ll.meta.vel;
+        }
+      }
+    } else {
+      stats.duration.start = ll.meta.time;
+    }
+
+    // for better accuracy we filter out some noise using an elevation threshold. See https://www.gpsvisualizer.com/tutorials/elevation_gain.html
+    var threshold = options.filter_options && options.filter_options.gain != 'threshold' ? 0 : options.elevation_threshold;
+    if (last_ele != null) {
+      var t = ll.meta.ele - last_ele.meta.ele;
+      if (Math.abs(t) > threshold)
+      {
+        if (t > 0) {
+          stats.elevation.gain += t;
+        } else {
+          stats.elevation.loss += -t;
+        }
+
+        var dist = this._dist3d(last_ele, ll);
+        ll.meta.grd = 100*t/(Math.sqrt(dist*dist-t*t));
+        if (ll.meta.grd > stats.gradient.max) {
+          stats.gradient.max = ll.meta.grd;
+        }
+        if (ll.meta.grd < stats.gradient.min) {
+          stats.gradient.min = ll.meta.grd;
+        }
+
+        return ll;
+      } else {
+        ll.meta.grd = last_ele.meta.grd;  // should really be the next (average) gradient, but we don't know it at this point
+      }
+      return last_ele;
+    }
+    return ll;
+  },
+
   _extract_styling: function(el, base, overrides) {
     var style = this._merge_objs(_DEFAULT_POLYLINE_OPTS, base);
-    var e = el.getElementsByTagNameNS(_GPX_STYLE_NS, 'line');
+    var e = el ? el.getElementsByTagNameNS(_GPX_STYLE_NS, 'line') : [];
     if (e.length > 0) {
-      var _ = e[0].getElementsByTagName('color');
-      if (_.length > 0) style.color = '#' + _[0].textContent;
-      var _ = e[0].getElementsByTagName('opacity');
-      if (_.length > 0) style.opacity = _[0].textContent;
-      var _ = e[0].getElementsByTagName('weight');
-      if (_.length > 0) style.weight = _[0].textContent;
-      var _ = e[0].getElementsByTagName('linecap');
-      if (_.length > 0) style.lineCap = _[0].textContent;
+      style = this._merge_objs(style, this._parse_line_style(e[0]));
     }
     return this._merge_objs(style, overrides)
   },
 
+  _parse_line_style: function(line) {
+    var style = {};
+    var _ = line.getElementsByTagName('color');
+    if (_.length > 0) style.color = '#' + _[0].textContent;
+    var _ = line.getElementsByTagName('opacity');
+    if (_.length > 0) style.opacity = _[0].textContent;
+    var _ = line.getElementsByTagName('weight');
+    if (_.length > 0) style.weight = _[0].textContent;
+    var _ = line.getElementsByTagName('linecap');
+    if (_.length > 0) style.lineCap = _[0].textContent;
+    return style;
+  },
+
+  // The gpx_style of the element itself, not of any of its descendants.
+  _own_line_style: function(el) {
+    var ext = this._child(el, 'extensions');
+    if (ext) {
+      for (var i = 0; i < ext.children.length; i++) {
+        if (ext.children[i].namespaceURI == _GPX_STYLE_NS && ext.children[i].localName == 'line') {
+          return this._parse_line_style(ext.children[i]);
+        }
+      }
+    }
+    return null;
+  },
+
+  // Bind the popup and tooltip templates of the type of point to its marker.
+  _bind_templates: function(marker, type, fields, options) {
+    var popup = options.marker_options.popups[type], tooltip = options.marker_options.tooltips[type];
+    var latlng = marker.getLatLng();
+    fields = this._merge_objs({ lat: latlng.lat, lng: latlng.lng }, fields);
+    if (popup) marker.bindPopup(this._render_template(popup, fields, marker, options.marker_options.trustedHtml));
+    if (tooltip) marker.bindTooltip(this._render_template(tooltip, fields, marker, options.marker_options.trustedHtml));
+  },
+
+  // A template is either a string with {field} placeholders or a function
+  // of the fields and the marker returning HTML or an element. Unless
+  // trusted, the text of the fields is escaped and the links keep only
+  // web and mail addresses.
+  _render_template: function(template, fields, marker, trusted) {
+    var _this = this;
+    if (!trusted) {
+      fields = this._escape_html(fields);
+      if (fields.link != null && !this._safe_url(fields.link)) fields.link = null;
+      if (fields.links) {
+        fields.links = fields.links.filter(function(l) { return _this._safe_url(l.href); });
+      }
+    }
+    if (typeof template === 'function') return template.call(this, fields, marker);
+    return template.replace(/\{ *(\w+) *\}/g, function(m, key) {
+      var v = fields[key];
+      if (v == null) return '';
+      if (key == 'links') return _this._html_links(v);
+      return v instanceof Date ? v.toLocaleString() : String(v);
+    });
+  },
+
+  _html_links: function(links) {
+    return links.filter(function(l) { return l.href; }).map(function(l) {
+      return '<a target="_blank" href="' + l.href + '">' + (l.text || l.href) + '</a>';
+    }).join('<br/>');
+  },
+
+  _escape_html: function(v) {
+    if (typeof v === 'string') return this._xml_escape(v);
+    if (v == null || typeof v !== 'object' || v instanceof Date) return v;
+    var r = L.Util.isArray(v) ? [] : {};
+    for (var k in v) r[k] = this._escape_html(v[k]);
+    return r;
+  },
+
+  _safe_url: function(url) {
+    return url != null && /^(https?:|mailto:|ftp:|[^:]*$)/i.test(String(url).trim());
+  },
+
+  _xml_escape: function(v) {
+    return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+  },
+
+  _child: function(el, name) {
+    for (var i = 0; el && i < el.children.length; i++) {
+      if (el.children[i].localName == name) return el.children[i];
+    }
+    return null;
+  },
+
+  _child_text: function(el, name) {
+    var c = this._child(el, name);
+    return c ? c.textContent : null;
+  },
+
+  _parse_person: function(el) {
+    if (!el) return null;
+    var email = this._child(el, 'email');
+    return {
+      // GPX 1.0 authors are plain text
+      name: this._child(el, 'name') ? this._child_text(el, 'name') : el.textContent,
+      email: email ? email.getAttribute('id') + '@' + email.getAttribute('domain') : null,
+      link: this._child(el, 'link') ? this._child(el, 'link').getAttribute('href') : null
+    };
+  },
+
+  _parse_copyright: function(el) {
+    if (!el) return null;
+    return {
+      author: el.getAttribute('author') || (el.children.length ? null : el.textContent || null),
+      year: this._child_text(el, 'year'),
+      license: this._child_text(el, 'license')
+    };
+  },
+
+  _parse_links: function(el) {
+    var links = [];
+    for (var i = 0; i < el.children.length; i++) {
+      if (el.children[i].localName != 'link') continue;
+      links.push({
+        href: el.children[i].getAttribute('href'),
+        text: this._child_text(el.children[i], 'text'),
+        type: this._child_text(el.children[i], 'type')
+      });
+    }
+    return links;
+  },
+
+  _parse_line_info: function(el) {
+    var number = this._child_text(el, 'number');
+    return {
+      name: this._child_text(el, 'name'),
+      cmt: this._child_text(el, 'cmt'),
+      desc: this._child_text(el, 'desc'),
+      src: this._child_text(el, 'src'),
+      links: this._parse_links(el),
+      number: number != null ? parseInt(number) : null,
+      type: this._child_text(el, 'type')
+    };
+  },
+
+  _split_keywords: function(text) {
+    return text.split(',').map(function(k) { return k.trim(); }).filter(function(k) { return k != ''; });
+  },
+
+  _on_mousemove: function(e) {
+    var hit = this._inspect(e);
+    if (hit) {
+      this._hovering = true;
+      this._hover_show(hit);
+      this.fire('pointhover', hit);
+    } else if (this._hovering) {
+      this._hover_out();
+    }
+  },
+
+  _on_click: function(e) {
+    var hit = this._inspect(e);
+    if (!hit) return;
+    this.fire('pointclick', hit);
+
+    // the first click starts a range and the second one ends it
+    if (this.options.inspector_options.select_range) {
+      if (this._range_start == null) {
+        this.clear_range();
+        this._range_start = hit.index;
+        this.fire('rangestart', { from: hit.index });
+      } else {
+        this.set_range(this._range_start, hit.index);
+      }
+    }
+  },
+
+  // The point of the lines under the mouse, within the inspector tolerance.
+  _inspect: function(e) {
+    var crs = this._map.options.crs;
+    var tolerance = this.options.inspector_options.tolerance * crs.scale(0) / crs.scale(this._map.getZoom());
+    var hit = this._index_nearest(e.latlng, tolerance);
+    if (hit) hit.originalEvent = e.originalEvent;
+    return hit;
+  },
+
+  _hover_show: function(hit) {
+    var opts = this.options.inspector_options;
+    if (opts.marker) {
+      if (!this._hover_marker) {
+        this._hover_marker = new L.CircleMarker(hit.latlng, this._merge_objs(
+          { radius: 6, color: 'white', weight: 2, fillColor: 'black', fillOpacity: 1, interactive: false },
+          opts.marker === true ? {} : opts.marker));
+      }
+      this._hover_marker.setLatLng(hit.latlng).addTo(this._map);
+    }
+    if (opts.tooltip) {
+      var content = typeof opts.tooltip === 'function' ? opts.tooltip(hit) : this._point_summary(hit);
+      this._hover_tooltip = this._hover_tooltip || L.tooltip({ direction: 'top', offset: [0, -8] });
+      this._hover_tooltip.setLatLng(hit.latlng).setContent(content);
+      this._map.openTooltip(this._hover_tooltip);
+    }
+  },
+
+  _hover_out: function() {
+    if (!this._hovering) return;
+    this._hovering = false;
+    if (this._hover_marker) this._hover_marker.remove();
+    if (this._hover_tooltip) this._hover_tooltip.remove();
+    this.fire('pointout');
+  },
+
+  _point_summary: function(hit) {
+    var m = hit.meta, s = [];
+    s.push(this.m_to_km(hit.cumdist).toFixed(2) + ' km');
+    if (this._has_time(m)) {
+      s.push((m.time_estimated ? '~ ' : '') + m.time.toLocaleTimeString() +
+        ' (' + this.get_duration_string(hit.cumtime, true) + ')');
+    }
+    if (m.ele != null) s.push(m.ele.toFixed(0) + ' m');
+    if (m.vel && isFinite(m.vel)) s.push(m.vel.toFixed(1) + ' km/h');
+    if (m.grd != null && isFinite(m.grd)) s.push(m.grd.toFixed(1) + ' %');
+    if (m.hr != null) s.push(m.hr + ' bpm');
+    if (m.cad != null) s.push(m.cad + ' rpm');
+    return s.join('<br/>');
+  },
+
+  // The options to compute the statistics of points parsed already: they
+  // were filtered then.
+  _stats_options: function() {
+    return this._merge_objs(this.options, { filter_options: { gain: this.options.filter_options.gain } });
+  },
+
+  // Call fn(a, b, t) for every stretch between two points a and b of the same
+  // segment counted in the moving time, t being its duration.
+  _each_stretch: function(fn) {
+    var _this = this, points = this._info._points, stops = new Set();
+    if (!points.length) return;
+    this._info.stops.forEach(function(stop) {
+      var i = points.indexOf(stop.latlng);
+      for (var j = i + 1; i >= 0 && j < points.length && points[j].meta.time <= stop.end; j++) stops.add(points[j]);
+    });
+    this._range_pieces(0, points.length - 1).forEach(function(pts) {
+      for (var i = 1; i < pts.length; i++) {
+        var t = Math.abs(pts[i].meta.time - pts[i-1].meta.time);
+        if ((t < _this.options.max_point_interval || pts[i].meta.time_estimated) && !stops.has(pts[i])) {
+          fn(pts[i-1], pts[i], t);
+        }
+      }
+    });
+  },
+
+  // The lower bounds of the zones, in the unit of the values.
+  _athlete_bounds: function(zones, basis) {
+    var a = this.options.athlete_options;
+    if (!a[basis]) return null;
+    return a[zones].map(function(f) { return f * a[basis]; });
+  },
+
+  _zones: function(field, bounds) {
+    if (!bounds) return null;
+    var zones = bounds.map(function(min, i) {
+      return { zone: i + 1, min: min, max: i + 1 < bounds.length ? bounds[i + 1] : null, time: 0 };
+    }), any = false;
+    this._each_stretch(function(a, b, t) {
+      var v = b.meta[field];
+      if (v == null) return;
+      for (var i = zones.length - 1; i > 0 && v < zones[i].min; i--);
+      zones[i].time += t;
+      any = true;
+    });
+    return any ? zones : null;
+  },
+
+  _zone_data: function(zones, unit) {
+    var _this = this;
+    return (zones || []).map(function(z) {
+      return [z.zone, z.time / _MINUTE_IN_MILLIS, 'Z' + z.zone + ' (' + Math.round(z.min) +
+        (z.max != null ? '-' + Math.round(z.max) : '+') + ' ' + unit + '): ' + _this.get_duration_string(z.time, true)];
+    });
+  },
+
+  // Weight of a minute at a fraction of the heart rate reserve in the TRIMP.
+  _trimp_weight: function(hrr) {
+    return this.options.athlete_options.sex == 'female' ?
+      hrr * 0.86 * Math.exp(1.67 * hrr) : hrr * 0.64 * Math.exp(1.92 * hrr);
+  },
+
+  // Give the segments without any recorded time the times of the pace model,
+  // one after the other from the start time, or from 0 without one, flagging
+  // them in meta.time_estimated.
+  _estimate_times: function(opts) {
+    var _this = this, clock = opts.start ? new Date(opts.start).getTime() : 0;
+    var segments = this._ordered_segments().filter(function(seg) {
+      return seg._points.every(function(p) { return !_this._has_time(p.meta); });
+    });
+    if (!segments.length) return;
+
+    segments.forEach(function(seg) {
+      var pts = seg._points;
+      for (var i = 0; i < pts.length; i++) {
+        if (i > 0) clock += _this._pace_time(opts.model, pts[i-1], pts[i], opts);
+        pts[i].meta.time = new Date(clock);
+        pts[i].meta.time_estimated = true;
+      }
+    });
+    this._recompute_stats();
+  },
+
+  // Whether a point has a time, recorded or estimated.
+  _has_time: function(meta) {
+    return !!meta.time_estimated || (meta.time != null && meta.time.getTime() != _DEFAULT_TIME.getTime());
+  },
+
+  // The time in milliseconds from a point to the next one with a pace model.
+  _pace_time: function(model, a, b, opts) {
+    var climb = a.meta.ele != null && b.meta.ele != null ? b.meta.ele - a.meta.ele : 0;
+    return (typeof model === 'function' ? model : L.GPX.pace_models[model])(this._dist2d(a, b), climb, opts);
+  },
+
+  // The time in milliseconds to travel pieces of lines with a pace model.
+  _pieces_pace_time: function(pieces, model, opts) {
+    var _this = this, total = 0;
+    pieces.forEach(function(pts) {
+      for (var i = 1; i < pts.length; i++) total += _this._pace_time(model, pts[i-1], pts[i], opts);
+    });
+    return total;
+  },
+
+  // The segments of the routes and tracks, in the order of their points.
+  _ordered_segments: function() {
+    var order = new Map(), segments = [];
+    this._info._points.forEach(function(p, i) { order.set(p, i); });
+    this._info.routes.concat(this._info.segments).forEach(function(stats) {
+      (stats.segments || [stats]).forEach(function(seg) { if (segments.indexOf(seg) < 0) segments.push(seg); });
+    });
+    return segments.sort(function(a, b) { return order.get(a._points[0]) - order.get(b._points[0]); });
+  },
+
+  // Compute all the statistics again from the points, after their elevation
+  // or time changed: first those of every segment, then the ones aggregating
+  // them, with the distance and time from the start of the points.
+  _recompute_stats: function() {
+    var _this = this, options = this._stats_options(), info = this._info;
+    var segments = this._ordered_segments(), lines = new Set(info.routes.concat(info.tracks));
+
+    var reset = function(stats, from) {
+      var keep = { _points: stats._points, outliers: stats.outliers };
+      for (var k in from) stats[k] = k in keep ? keep[k] : from[k];
+    };
+
+    var dist = 0, time = 0;
+    segments.forEach(function(seg) {
+      reset(seg, _this._segment_stats(seg._points.map(function(ll) { return { ll: ll }; }), options));
+      seg._points.forEach(function(ll) {
+        ll.meta.cumdist += dist;
+        ll.meta.cumtime += time;
+      });
+      dist += seg.length;
+      time += seg.duration.total;
+    });
+
+    // the lines of tracks with separate segments have their own statistics
+    this.eachLayer(function collect(l) {
+      if (l.stats) lines.add(l.stats);
+      else if (l.eachLayer) l.eachLayer(collect);
+    });
+    lines.forEach(function(stats) {
+      var merged = _this._init_stats();
+      stats.segments.forEach(function(seg) { _this._merge_stats(merged, seg); });
+      reset(stats, _this._finish_stats(merged));
+    });
+
+    var merged = this._init_stats();
+    segments.forEach(function(seg) { _this._merge_stats(merged, seg); });
+    for (var k in merged) if (k != '_points') info[k] = merged[k];
+    this._finish_stats(info);
+
+    if (options.polyline_options.color_by) {
+      info.color_scale = this._color_scale(options.polyline_options.color_by);
+      this.eachLayer(function refresh(l) {
+        if (l instanceof L.GPXColoredPolyline) l.set_color_scale(info.color_scale);
+        else if (l instanceof L.FeatureGroup) l.eachLayer(refresh);
+      });
+    }
+  },
+
+  // The indexes of the first and last points of a range, in order.
+  _range: function(from, to) {
+    from = this._range_index(from);
+    to = this._range_index(to);
+    if (from == null || to == null) return null;
+    return from <= to ? [from, to] : [to, from];
+  },
+
+  _range_index: function(v) {
+    var points = this._info._points, i;
+    if (!points.length || v == null) return null;
+    if (typeof v === 'number') return Math.max(0, Math.min(points.length - 1, Math.round(v)));
+    if (v instanceof Date) {
+      for (i = 0; i < points.length - 1 && points[i].meta.time < v; i++);
+      return i;
+    }
+    if (v.distance != null) {
+      for (i = 0; i < points.length - 1 && points[i].meta.cumdist < v.distance; i++);
+      return i;
+    }
+    var closest = this.closestLayerLatLng(v, true);
+    return closest ? closest[0] : null;
+  },
+
+  // The points of a range, split where the segments end.
+  _range_pieces: function(from, to) {
+    var ends = this._segment_ends(), pieces = [], piece = [];
+    for (var i = from; i <= to; i++) {
+      var p = this._info._points[i];
+      piece.push(p);
+      if (ends.has(p) || i == to) {
+        pieces.push(piece);
+        piece = [];
+      }
+    }
+    return pieces;
+  },
+
+  // The last point of every segment of the routes and tracks.
+  _segment_ends: function() {
+    var ends = new Set();
+    this._info.routes.concat(this._info.segments).forEach(function(stats) {
+      (stats.segments || [stats]).forEach(function(seg) { ends.add(seg._points[seg._points.length - 1]); });
+    });
+    return ends;
+  },
+
+  /*
+   * Spatial index of the lines: a grid of buckets over the points projected
+   * at zoom level 0, each bucket listing the stretches (from a point to the
+   * next one of its segment) that cross it.
+   */
+  _build_index: function() {
+    var crs = this._map ? this._map.options.crs : L.CRS.EPSG3857;
+    var points = this._info._points, n = points.length, i, x, y;
+    var ends = this._segment_ends(), xy = [], next = [], grid = {};
+    var minx = Infinity, miny = Infinity, maxx = -Infinity, maxy = -Infinity;
+
+    for (i = 0; i < n; i++) {
+      xy.push(crs.latLngToPoint(points[i], 0));
+      next.push(i == n - 1 || ends.has(points[i]) ? i : i + 1);
+      minx = Math.min(minx, xy[i].x); maxx = Math.max(maxx, xy[i].x);
+      miny = Math.min(miny, xy[i].y); maxy = Math.max(maxy, xy[i].y);
+    }
+    var cell = Math.max(maxx - minx, maxy - miny) / Math.max(1, Math.sqrt(n)) || 1e-9;
+
+    for (i = 0; i < n; i++) {
+      var a = xy[i], b = xy[next[i]];
+      for (x = Math.floor(Math.min(a.x, b.x) / cell); x <= Math.floor(Math.max(a.x, b.x) / cell); x++) {
+        for (y = Math.floor(Math.min(a.y, b.y) / cell); y <= Math.floor(Math.max(a.y, b.y) / cell); y++) {
+          (grid[x + ':' + y] = grid[x + ':' + y] || []).push(i);
+        }
+      }
+    }
+
+    return { crs: crs, xy: xy, next: next, grid: grid, cell: cell,
+      min: L.point(Math.floor(minx / cell), Math.floor(miny / cell)),
+      max: L.point(Math.floor(maxx / cell), Math.floor(maxy / cell)) };
+  },
+
+  // The closest position on the lines to the given latlng, within max_dist
+  // (at zoom level 0), with the index of the closest of the two points around
+  // it, and its distance, elapsed time, elevation and time interpolated
+  // between them. With vertices set, only the points themselves are
+  // considered.
+  _index_nearest: function(latlng, max_dist, vertices) {
+    var points = this._info._points;
+    if (!points.length) return null;
+    var crs = this._map ? this._map.options.crs : L.CRS.EPSG3857, index = this._info._index;
+    if (!index || index.crs !== crs) index = this._info._index = this._build_index();
+    var p = index.crs.latLngToPoint(latlng, 0), cell = index.cell;
+    var cx = Math.floor(p.x / cell), cy = Math.floor(p.y / cell);
+    var best = null, best_d = max_dist * max_dist, seen = {};
+    var rings = Math.max(cx - index.min.x, index.max.x - cx, cy - index.min.y, index.max.y - cy);
+
+    for (var r = 0; r <= rings; r++) {
+      if ((r - 1) * cell > Math.min(max_dist, Math.sqrt(best_d))) break;
+      for (var x = cx - r; x <= cx + r; x++) {
+        for (var y = cy - r; y <= cy + r; y++) {
+          if (Math.abs(x - cx) != r && Math.abs(y - cy) != r) continue; // inside the ring
+          var bucket = index.grid[x + ':' + y] || [];
+          for (var k = 0; k < bucket.length; k++) {
+            var i = bucket[k];
+            if (seen[i]) continue;
+            seen[i] = true;
+            var a = index.xy[i], b = index.xy[index.next[i]];
+            var dx = b.x - a.x, dy = b.y - a.y, l = dx * dx + dy * dy;
+            var t = l > 0 && !vertices ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / l)) : 0;
+            var ex = a.x + t * dx - p.x, ey = a.y + t * dy - p.y, d = ex * ex + ey * ey;
+            if (d <= best_d) {
+              best_d = d;
+              best = { i: i, t: t };
+            }
+          }
+        }
+      }
+    }
+    if (!best) return null;
+
+    var a = points[best.i], b = points[index.next[best.i]], t = best.t;
+    var point = t < 0.5 ? a : b;
+    return {
+      index: t < 0.5 ? best.i : index.next[best.i],
+      latlng: L.latLng(a.lat + t * (b.lat - a.lat), a.lng + t * (b.lng - a.lng)),
+      point: point,
+      meta: point.meta,
+      cumdist: a.meta.cumdist + t * (b.meta.cumdist - a.meta.cumdist),
+      cumtime: a.meta.cumtime + t * (b.meta.cumtime - a.meta.cumtime),
+      ele: a.meta.ele != null && b.meta.ele != null ? a.meta.ele + t * (b.meta.ele - a.meta.ele) : point.meta.ele,
+      time: this._has_time(a.meta) ? new Date(a.meta.time.getTime() + t * (b.meta.time - a.meta.time)) : null
+    };
+  },
+
+  _color_scale: function(color_by) {
+    var scale = this._merge_objs(_DEFAULT_COLOR_SCALE,
+      typeof color_by === 'string' ? { field: color_by } : color_by);
+
+    if (!scale.domain) {
+      var min = Infinity, max = -Infinity;
+      for (var i = 0; i < this._info._points.length; i++) {
+        var v = this._info._points[i].meta[scale.field];
+        if (v == null || !isFinite(v)) continue;
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      scale.domain = min <= max ? [min, max] : [0, 0];
+    }
+
+    // the color in the middle of each bin
+    scale.colors = [];
+    for (var i = 0; i < scale.bins; i++) {
+      scale.colors.push(this._ramp_color(scale.ramp, (i + 0.5) / scale.bins));
+    }
+    return scale;
+  },
+
+  _ramp_color: function(ramp, t) {
+    var x = t * (ramp.length - 1), i = Math.min(Math.floor(x), ramp.length - 2);
+    var a = this._parse_color(ramp[i]), b = this._parse_color(ramp[i + 1]), f = x - i;
+    return '#' + [0, 1, 2].map(function(k) {
+      var c = Math.round(a[k] + (b[k] - a[k]) * f).toString(16);
+      return c.length < 2 ? '0' + c : c;
+    }).join('');
+  },
+
+  _parse_color: function(hex) {
+    hex = hex.replace(/^#/, '');
+    if (hex.length == 3) hex = hex.replace(/(.)/g, '$1$1');
+    return [0, 2, 4].map(function(k) { return parseInt(hex.substr(k, 2), 16); });
+  },
+
   _dist2d: function(a, b) {
     var R = 6371000.0;
     var dLat = this._deg2rad(b.lat - a.lat);
@@ -735,7 +2819,351 @@ L.GPX = L.FeatureGroup.extend({
   }
 });
 
+/*
+ * A polyline drawn with fewer vertices at low zoom levels. The full resolution
+ * points are kept as its latlngs, only the projection used for rendering is
+ * simplified, and cached for each zoom level.
+ */
+L.GPXSimplifiedPolyline = L.Polyline.extend({
+  options: {
+    // algorithm: a key of L.GPX.simplifiers; tolerance: in pixels, or a
+    // function of the zoom level returning the tolerance in pixels
+    simplify: { algorithm: 'douglas-peucker', tolerance: 1.5 }
+  },
+
+  _setLatLngs: function(latlngs) {
+    L.Polyline.prototype._setLatLngs.call(this, latlngs);
+    this._simplified = {};
+  },
+
+  // addLatLng(), setLatLngs() and changes made to getLatLngs() all end with a
+  // redraw, the simplified lines must be computed again
+  redraw: function() {
+    this._simplified = {};
+    return L.Polyline.prototype.redraw.call(this);
+  },
+
+  _project: function() {
+    var full = this._latlngs;
+    this._latlngs = this._simplified_latlngs(Math.round(this._map.getZoom()));
+    L.Polyline.prototype._project.call(this);
+    this._latlngs = full;
+  },
+
+  _simplified_latlngs: function(zoom) {
+    if (this._simplified[zoom]) return this._simplified[zoom];
+
+    var opts = L.extend({}, L.GPXSimplifiedPolyline.prototype.options.simplify, this.options.simplify);
+    var tolerance = typeof opts.tolerance === 'function' ? opts.tolerance(zoom) : opts.tolerance;
+    var map = this._map;
+
+    // each part of a multi-polyline on its own
+    var simplify = function(latlngs) {
+      if (!L.LineUtil.isFlat(latlngs)) return latlngs.map(simplify);
+      if (tolerance > 0 && latlngs.length > 2) {
+        var points = latlngs.map(function(ll) { return map.project(ll, zoom); });
+        var keep = L.GPX.simplifiers[opts.algorithm](points, tolerance);
+        latlngs = keep.map(function(i) { return latlngs[i]; });
+      }
+      return latlngs;
+    };
+    return this._simplified[zoom] = simplify(this._latlngs);
+  }
+});
+
+/*
+ * A line colored by the value of a meta field of its points, using the color
+ * scale of the L.GPX layer: made of one (multi-)polyline per color bin, drawn
+ * with the line style. Points without a value keep the color of the style.
+ */
+L.GPXColoredPolyline = L.FeatureGroup.extend({
+  initialize: function(latlngs, options) {
+    L.FeatureGroup.prototype.initialize.call(this, []);
+    L.Util.setOptions(this, options);
+    this._latlngs = latlngs;
+  },
+
+  getLatLngs: function() { return this._latlngs; },
+  getBounds:  function() { return L.latLngBounds(this._latlngs); },
+
+  set_color_scale: function(scale) {
+    var latlngs = this._latlngs, bins = {}, bin = null, part;
+    var min = scale.domain[0], range = scale.domain[1] - scale.domain[0];
+
+    // each stretch between two points gets the color of the value at its end
+    for (var i = 1; i < latlngs.length; i++) {
+      var v = latlngs[i].meta[scale.field], b = -1;
+      if (v != null && !isNaN(v)) {
+        b = range > 0 ? Math.floor((v - min) / range * scale.bins) : 0;
+        b = Math.max(0, Math.min(scale.bins - 1, b));
+      }
+      if (b !== bin) {
+        part = [latlngs[i-1]];
+        (bins[b] = bins[b] || []).push(part);
+        bin = b;
+      }
+      part.push(latlngs[i]);
+    }
+
+    this.clearLayers();
+    for (b in bins) {
+      var style = L.extend({}, this.options, b >= 0 ? { color: scale.colors[b] } : {});
+      this.addLayer(style.simplify ? new L.GPXSimplifiedPolyline(bins[b], style) : new L.Polyline(bins[b], style));
+    }
+  }
+});
+
+/*
+ * A legend for the color scale of a L.GPX layer drawn with color_by.
+ */
+L.Control.GPXLegend = L.Control.extend({
+  options: {
+    position: 'bottomright',
+    title: null
+  },
+
+  initialize: function(gpx, options) {
+    L.Util.setOptions(this, options);
+    this._gpx = gpx;
+  },
+
+  onAdd: function(map) {
+    this._container = L.DomUtil.create('div', 'leaflet-control leaflet-gpx-legend');
+    this._container.style.background = 'white';
+    this._container.style.padding = '4px 8px';
+    this._gpx.on('loaded elevation', this._update, this);
+    this._update();
+    return this._container;
+  },
+
+  onRemove: function(map) {
+    this._gpx.off('loaded elevation', this._update, this);
+  },
+
+  _update: function() {
+    var scale = this._gpx.get_color_scale();
+    if (!scale) {
+      this._container.style.display = 'none';
+      return;
+    }
+
+    var unit = _METRIC_UNITS[scale.field] || (L.GPX.fields[scale.field] || {}).unit;
+    unit = unit ? ' ' + unit : '';
+    var format = function(v) { return (Math.round(v * 10) / 10) + unit; };
+    this._container.style.display = '';
+    this._container.innerHTML = '';
+
+    var title = L.DomUtil.create('div', 'leaflet-gpx-legend-title', this._container);
+    title.textContent = this.options.title || scale.field;
+    var bar = L.DomUtil.create('div', 'leaflet-gpx-legend-bar', this._container);
+    bar.style.height = '10px';
+    bar.style.width = '150px';
+    bar.style.background = 'linear-gradient(to right, ' + scale.ramp.join(', ') + ')';
+    var labels = L.DomUtil.create('div', 'leaflet-gpx-legend-labels', this._container);
+    labels.style.display = 'flex';
+    labels.style.justifyContent = 'space-between';
+    L.DomUtil.create('span', '', labels).textContent = format(scale.domain[0]);
+    L.DomUtil.create('span', '', labels).textContent = format(scale.domain[1]);
+  }
+});
+
+function _sq_segment_dist(p, a, b) {
+  var x = a.x, y = a.y, dx = b.x - x, dy = b.y - y, d = dx * dx + dy * dy, t;
+  if (d > 0) {
+    t = ((p.x - x) * dx + (p.y - y) * dy) / d;
+    if (t > 1) {
+      x = b.x;
+      y = b.y;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  dx = p.x - x;
+  dy = p.y - y;
+  return dx * dx + dy * dy;
+}
+
+// Simplification algorithms, taking the projected points of a line and a
+// tolerance in pixels, and returning the sorted indexes of the points to keep.
+L.GPX.simplifiers = {
+  'douglas-peucker': function(points, tolerance) {
+    var n = points.length, keep = [0, n - 1], stack = [[0, n - 1]];
+    var sq_tolerance = tolerance * tolerance;
+    while (stack.length) {
+      var range = stack.pop(), first = range[0], last = range[1], max = 0, index = 0;
+      for (var i = first + 1; i < last; i++) {
+        var d = _sq_segment_dist(points[i], points[first], points[last]);
+        if (d > max) {
+          max = d;
+          index = i;
+        }
+      }
+      if (max > sq_tolerance) {
+        keep.push(index);
+        stack.push([first, index], [index, last]);
+      }
+    }
+    return keep.sort(function(a, b) { return a - b; });
+  },
+
+  // The tolerance is the side of the square whose area is the smallest
+  // effective area of the points that are kept.
+  'visvalingam': function(points, tolerance) {
+    var n = points.length, i, prev = [], next = [], area = [], heap = [];
+    var min_area = tolerance * tolerance;
+    var triangle = function(i) {
+      var a = points[prev[i]], b = points[i], c = points[next[i]];
+      return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+    };
+    var push = function(e) {
+      var i = heap.push(e) - 1;
+      while (i > 0) {
+        var parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        var t = heap[parent]; heap[parent] = heap[i]; heap[i] = t;
+        i = parent;
+      }
+    };
+    var pop = function() {
+      var top = heap[0], last = heap.pop();
+      if (heap.length) {
+        heap[0] = last;
+        var i = 0;
+        for (;;) {
+          var l = 2 * i + 1, r = l + 1, m = i;
+          if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+          if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+          if (m == i) break;
+          var t = heap[m]; heap[m] = heap[i]; heap[i] = t;
+          i = m;
+        }
+      }
+      return top;
+    };
+
+    for (i = 0; i < n; i++) {
+      prev[i] = i - 1;
+      next[i] = i + 1;
+    }
+    for (i = 1; i < n - 1; i++) {
+      area[i] = triangle(i);
+      push([area[i], i]);
+    }
+
+    while (heap.length) {
+      var e = pop();
+      i = e[1];
+      if (e[0] != area[i]) continue; // outdated entry
+      if (e[0] >= min_area) break;
+      area[i] = null;
+      next[prev[i]] = next[i];
+      prev[next[i]] = prev[i];
+      // the area of a neighbour can't be smaller than the one just removed
+      [prev[i], next[i]].forEach(function(j) {
+        if (j > 0 && j < n - 1) {
+          area[j] = Math.max(triangle(j), e[0]);
+          push([area[j], j]);
+        }
+      });
+    }
+
+    var keep = [];
+    for (i = 0; i < n; i = next[i]) keep.push(i);
+    return keep;
+  }
+};
+
+/*
+ * Pace models: the time in milliseconds to travel a distance, in meters,
+ * while climbing (or descending) a height, in meters, with the pace_options.
+ */
+L.GPX.pace_models = {
+  // 1 hour per walking_speed km, plus 1 hour per ascent_rate m of ascent
+  'naismith': function(dist, climb, opts) {
+    return (dist / 1000 / opts.walking_speed + Math.max(0, climb) / opts.ascent_rate) * _HOUR_IN_MILLIS;
+  },
+
+  // Tobler's hiking function: 6 km/h on a gentle descent, slower elsewhere
+  'tobler': function(dist, climb, opts) {
+    var speed = 6 * Math.exp(-3.5 * Math.abs((dist > 0 ? climb / dist : 0) + 0.05));
+    return dist / 1000 / speed * _HOUR_IN_MILLIS;
+  },
+
+  // flat_speed km/h, unless climbing at climb_rate m/h takes longer
+  'cycling': function(dist, climb, opts) {
+    return Math.max(dist / 1000 / opts.flat_speed, Math.max(0, climb) / opts.climb_rate) * _HOUR_IN_MILLIS;
+  }
+};
+
+/*
+ * Extension fields of the points: the values of their elements, from the
+ * first of their namespaces ('*' for any) that has one, go into meta under
+ * the name of the field and are aggregated in the statistics.
+ */
+L.GPX.fields = L.GPX.prototype._fields = {};
+
+L.GPX.register_field = function(name, field) {
+  field = L.extend({ namespace: '*', element: name, parser: 'float', aggregation: 'avg', unit: '' }, field);
+  ['namespace', 'element', 'aggregation'].forEach(function(k) {
+    if (!L.Util.isArray(field[k])) field[k] = [field[k]];
+  });
+  L.GPX.fields[name] = field;
+
+  // get_average_<name>, get_<name>_min/max/total for its aggregations and
+  // the deprecated get_<name>_data(_imp) unless defined already
+  var proto = L.GPX.prototype, getters = {
+    avg: 'get_average_' + name, min: 'get_' + name + '_min', max: 'get_' + name + '_max', sum: 'get_' + name + '_total'
+  };
+  field.aggregation.forEach(function(agg) {
+    if (!proto[getters[agg]]) proto[getters[agg]] = function() { return this._info[name] ? this._info[name][agg] : null; };
+  });
+  if (!proto['get_' + name + '_data']) {
+    proto['get_' + name + '_data'] = function(mode) { return this._field_data(name, mode, false); };
+  }
+  if (!proto['get_' + name + '_data_imp']) {
+    proto['get_' + name + '_data_imp'] = function(mode) { return this._field_data(name, mode, true); };
+  }
+};
+
+L.GPX.register_field('atemp', { namespace: [_GPX_TPX_NS, _GPX_TPX2_NS, _GPX_DATA_NS, '*'], element: ['atemp', 'temp'], aggregation: ['avg', 'min', 'max'], unit: '°C' });
+L.GPX.register_field('wtemp', { namespace: [_GPX_TPX_NS, _GPX_TPX2_NS], aggregation: ['avg', 'min', 'max'], unit: '°C' });
+L.GPX.register_field('depth', { namespace: [_GPX_TPX_NS, _GPX_TPX2_NS], aggregation: ['avg', 'max'], unit: 'm' });
+L.GPX.register_field('hr', { namespace: [_GPX_TPX_NS, _GPX_TPX2_NS, _GPX_DATA_NS, '*'], parser: 'int', aggregation: ['avg', 'min', 'max'], unit: 'bpm' });
+L.GPX.register_field('cad', { namespace: [_GPX_TPX_NS, _GPX_TPX2_NS, _GPX_DATA_NS, '*'], element: ['cad', 'cadence'], parser: 'int', aggregation: ['avg', 'max'], unit: 'rpm' });
+L.GPX.register_field('speed', { namespace: [_GPX_TPX2_NS], aggregation: ['avg', 'max'], unit: 'm/s' });
+// bearings can't be averaged
+L.GPX.register_field('course', { namespace: [_GPX_TPX2_NS], aggregation: [], unit: '°' });
+L.GPX.register_field('power', { namespace: [_GPX_POWER_NS, '*'], element: ['PowerInWatts', 'power'], aggregation: ['avg', 'max'], unit: 'W' });
+
+L.GPX.formats = {};
+
+// Register a reader for the files whose root element has the given local
+// name. The reader is called on the L.GPX layer with the parsed XML document
+// and the options, and returns the list of layers it created.
+L.GPX.register_format = function(root, reader) {
+  L.GPX.formats[root] = reader;
+};
+
+L.GPX.register_format('gpx', L.GPX.prototype._parse_gpx_data);
+L.GPX.register_format('TrainingCenterDatabase', L.GPX.prototype._parse_tcx_data);
+L.GPX.register_format('kml', L.GPX.prototype._parse_kml_data);
+
+// What the other files of the plugin need from this one, whose variables they
+// can't see when loaded as modules.
+L.GPX._shared = {
+  namespaces: { gpx: _GPX_NS, style: _GPX_STYLE_NS, tpx: _GPX_TPX_NS, tpx2: _GPX_TPX2_NS, data: _GPX_DATA_NS, power: _GPX_POWER_NS },
+  default_time: _DEFAULT_TIME
+};
+
 if (typeof module === 'object' && typeof module.exports === 'object') {
+  // loaded with script tags in browsers, the other files are all part of the
+  // module
+  require('./gpx.export.js');
+  require('./gpx.worker.js');
+  require('./gpx.elevation.js');
+  require('./gpx.profile.js');
+  require('./gpx.playback.js');
   module.exports = L;
 } else if (typeof define === 'function' && define.amd) {
   define(L);
@@ -0,0 +1,250 @@
+/*
+ * Replaying L.GPX layers, and the timeline control.
+ *
+ * Part of leaflet-gpx, see the copyright header in gpx.js. Load it after
+ * gpx.js.
+ */
+
+var L = L || require('leaflet');
+
+/*
+ * Replay of one or several L.GPX layers: a marker moving along their lines
+ * with the elapsed time ('time') or the distance ('distance') from their
+ * start, optionally drawing the part travelled already. Several layers are
+ * replayed side by side, each from its own start.
+ */
+L.GPXPlayback = L.Layer.extend({
+  options: {
+    by: 'time',
+    speed: 10,                        // times the real time, or meters per second by distance
+    loop: false,
+    marker: true,
+    travelled: false,
+    colors: ['red', 'blue', 'green', 'orange', 'purple']
+  },
+
+  initialize: function(gpx, options) {
+    L.Util.setOptions(this, options);
+    this._tracks = (L.Util.isArray(gpx) ? gpx : [gpx]).map(function(gpx) { return { gpx: gpx }; });
+    this._gpx = this._tracks[0].gpx;
+    this._tracks.forEach(function(track) { this.addEventParent(track.gpx); }, this);
+    this._position = 0;
+    this._playing = false;
+  },
+
+  onAdd: function(map) {
+    var _this = this, opts = this.options;
+    this._tracks.forEach(function(track, i) {
+      var color = opts.colors[i % opts.colors.length];
+      var marker = L.Util.isArray(opts.marker) ? opts.marker[i] : opts.marker;
+      var travelled = L.Util.isArray(opts.travelled) ? opts.travelled[i] : opts.travelled;
+      if (travelled) {
+        track.travelled = new L.Polyline([], L.extend({ color: color, weight: 5, interactive: false },
+          travelled === true ? {} : travelled)).addTo(map);
+      }
+      if (marker instanceof L.Icon) {
+        track.marker = new L.Marker([0, 0], { icon: marker, interactive: false });
+      } else if (marker) {
+        track.marker = new L.CircleMarker([0, 0], L.extend({ radius: 7, color: 'white', weight: 2,
+          fillColor: color, fillOpacity: 1, interactive: false }, marker === true ? {} : marker));
+      }
+      track.gpx.on('loaded', _this._update, _this);
+    });
+    this._update();
+  },
+
+  onRemove: function(map) {
+    var _this = this;
+    this.pause();
+    this._tracks.forEach(function(track) {
+      track.gpx.off('loaded', _this._update, _this);
+      if (track.marker) track.marker.remove();
+      if (track.travelled) track.travelled.remove();
+      track.marker = track.travelled = track.pieces = track.pieces_index = null;
+    });
+  },
+
+  play: function() {
+    if (this._playing) return this;
+    if (this._position >= this.get_duration()) this._position = 0;
+    this._playing = true;
+    this._last_frame = null;
+    this._frame = L.Util.requestAnimFrame(this._animate, this);
+    this._fire('playbackplay', {});
+    return this;
+  },
+
+  pause: function() {
+    if (!this._playing) return this;
+    this._playing = false;
+    L.Util.cancelAnimFrame(this._frame);
+    this._fire('playbackpause', {});
+    return this;
+  },
+
+  // Move to a time in milliseconds, or a distance in meters, from the start.
+  seek: function(position) {
+    this._position = Math.max(0, Math.min(this.get_duration(), position));
+    this._update();
+    return this;
+  },
+
+  set_speed: function(speed) {
+    this.options.speed = speed;
+    return this;
+  },
+
+  is_playing:   function() { return this._playing; },
+  get_position: function() { return this._position; },
+  get_speed:    function() { return this.options.speed; },
+
+  // The length of the replay, in milliseconds or meters: the one of the
+  // longest layer.
+  get_duration: function() {
+    var field = this._field();
+    return this._tracks.reduce(function(max, track) {
+      var points = track.gpx._info._points;
+      return points.length ? Math.max(max, points[points.length - 1].meta[field]) : max;
+    }, 0);
+  },
+
+  _field: function() {
+    return this.options.by == 'distance' ? 'cumdist' : 'cumtime';
+  },
+
+  // Fire an event on the playback, with the position of the first layer, and
+  // on the layers with their own.
+  _fire: function(type, data, positions) {
+    this._event = { data: data, positions: positions || [] };
+    this.fire(type, L.extend({}, data, this._event.positions[0]), true);
+  },
+
+  _propagateEvent: function(e) {
+    for (var i = 0; i < this._tracks.length; i++) {
+      var gpx = this._tracks[i].gpx;
+      if (!this._eventParents || !this._eventParents[L.stamp(gpx)]) continue;
+      gpx.fire(e.type, L.extend({ layer: e.target, propagatedFrom: e.target, sourceTarget: e.sourceTarget, playback: this },
+        this._event.data, this._event.positions[i]), true);
+    }
+  },
+
+  _animate: function(now) {
+    if (!this._playing) return;
+    if (this._last_frame != null) {
+      var step = (now - this._last_frame) / 1000 * this.options.speed;
+      this._position += this.options.by == 'distance' ? step : step * 1000;
+    }
+    this._last_frame = now;
+
+    var end = this.get_duration();
+    if (this._position >= end) {
+      this._position = this.options.loop ? 0 : end;
+      this._update();
+      if (!this.options.loop) {
+        this.pause();
+        return;
+      }
+    } else {
+      this._update();
+    }
+    this._frame = L.Util.requestAnimFrame(this._animate, this);
+  },
+
+  _update: function() {
+    var _this = this, field = this._field();
+    var positions = this._tracks.map(function(track) {
+      var at = track.gpx.get_point_at(field, _this._position);
+      if (!at) return null;
+
+      if (track.marker && _this._map) track.marker.setLatLng(at.latlng).addTo(_this._map);
+      if (track.travelled) {
+        // the travelled lines only change with the last point passed
+        if (track.pieces_index !== at.index) {
+          track.pieces = track.gpx._range_pieces(0, at.index);
+          track.pieces_index = at.index;
+        }
+        var pieces = track.pieces.slice(0, -1), last = track.pieces[track.pieces.length - 1].concat([at.latlng]);
+        track.travelled.setLatLngs(pieces.concat([last]));
+      }
+      return at;
+    });
+
+    this._fire('playbackupdate', { position: this._position, playing: this._playing, positions: positions }, positions);
+  }
+});
+
+/*
+ * A timeline to play, pause and seek a L.GPXPlayback and change its speed.
+ */
+L.Control.GPXTimeline = L.Control.extend({
+  options: {
+    position: 'bottomleft',
+    speeds: [1, 10, 60, 300]
+  },
+
+  initialize: function(playback, options) {
+    L.Util.setOptions(this, options);
+    this._playback = playback;
+  },
+
+  onAdd: function(map) {
+    var _this = this, playback = this._playback;
+    var container = L.DomUtil.create('div', 'leaflet-control leaflet-gpx-timeline');
+    container.style.background = 'white';
+    container.style.padding = '4px 8px';
+    container.style.display = 'flex';
+    container.style.alignItems = 'center';
+    L.DomEvent.disableClickPropagation(container);
+
+    this._button = L.DomUtil.create('button', 'leaflet-gpx-timeline-play', container);
+    this._button.type = 'button';
+    L.DomEvent.on(this._button, 'click', function() {
+      if (playback.is_playing()) playback.pause(); else playback.play();
+    });
+
+    this._slider = L.DomUtil.create('input', 'leaflet-gpx-timeline-slider', container);
+    this._slider.type = 'range';
+    this._slider.min = 0;
+    this._slider.style.width = '200px';
+    L.DomEvent.on(this._slider, 'input', function() { playback.seek(parseFloat(_this._slider.value)); });
+
+    this._label = L.DomUtil.create('span', 'leaflet-gpx-timeline-label', container);
+    this._label.style.margin = '0 8px';
+
+    this._speed = L.DomUtil.create('select', 'leaflet-gpx-timeline-speed', container);
+    this.options.speeds.forEach(function(speed) {
+      var option = L.DomUtil.create('option', '', _this._speed);
+      option.value = speed;
+      option.textContent = speed + (playback.options.by == 'distance' ? ' m/s' : '×');
+    });
+    if (this.options.speeds.indexOf(playback.get_speed()) < 0) {
+      L.DomUtil.create('option', '', this._speed).value = playback.get_speed();
+      this._speed.lastChild.textContent = playback.get_speed() + (playback.options.by == 'distance' ? ' m/s' : '×');
+    }
+    this._speed.value = playback.get_speed();
+    L.DomEvent.on(this._speed, 'change', function() { playback.set_speed(parseFloat(_this._speed.value)); });
+
+    playback.on('playbackupdate playbackplay playbackpause', this._update, this);
+    this._update();
+    return container;
+  },
+
+  onRemove: function(map) {
+    this._playback.off('playbackupdate playbackplay playbackpause', this._update, this);
+  },
+
+  _update: function() {
+    var playback = this._playback, gpx = playback._gpx, position = playback.get_position();
+    this._button.textContent = playback.is_playing() ? '❚❚' : '▶';
+    this._slider.max = playback.get_duration();
+    this._slider.value = position;
+    this._label.textContent = playback.options.by == 'distance' ?
+      gpx.m_to_km(position).toFixed(2) + ' km' : gpx.get_duration_string_iso(position, true);
+  }
+});
+
+if (typeof module === 'object' && typeof module.exports === 'object') {
+  module.exports = L;
+} else if (typeof define === 'function' && define.amd) {
+  define(L);
+}
@@ -0,0 +1,231 @@
+/*
+ * The profile chart control.
+ *
+ * Part of leaflet-gpx, see the copyright header in gpx.js. Load it after
+ * gpx.js.
+ */
+
+var L = L || require('leaflet');
+
+/*
+ * A profile of the elevation, or of any other field of the points, against
+ * the distance or the time, linked to the lines of a L.GPX layer on the map.
+ */
+L.Control.GPXProfile = L.Control.extend({
+  options: {
+    position: 'bottomright',
+    field: 'ele',
+    x: 'distance',                    // or 'time'
+    imperial: false,
+    width: 400,
+    height: 150,
+    margin: { top: 10, right: 10, bottom: 20, left: 45 },
+    color: '#3388ff',
+    marker: { radius: 6, color: 'white', weight: 2, fillColor: '#3388ff', fillOpacity: 1 },
+    title: null
+  },
+
+  initialize: function(gpx, options) {
+    L.Util.setOptions(this, options);
+    this._gpx = gpx;
+  },
+
+  onAdd: function(map) {
+    var o = this.options;
+    this._container = L.DomUtil.create('div', 'leaflet-control leaflet-gpx-profile');
+    this._container.style.background = 'white';
+    this._container.style.padding = '4px';
+    L.DomEvent.disableClickPropagation(this._container);
+    L.DomEvent.disableScrollPropagation(this._container);
+
+    var svg = this._svg = this._svg_el('svg', { width: o.width, height: o.height }, this._container);
+    svg.style.display = 'block';
+    svg.style.cursor = 'crosshair';
+    this._axes = this._svg_el('g', { 'font-size': 10, fill: '#555' }, svg);
+    this._line = this._svg_el('path', { fill: 'none', stroke: o.color, 'stroke-width': 1.5 }, svg);
+    this._selection = this._svg_el('rect', { y: o.margin.top, height: o.height - o.margin.top - o.margin.bottom,
+      fill: o.color, 'fill-opacity': 0.2, display: 'none' }, svg);
+    this._cursor = this._svg_el('g', { display: 'none' }, svg);
+    this._svg_el('line', { y1: o.margin.top, y2: o.height - o.margin.bottom, stroke: '#555' }, this._cursor);
+    this._cursor_label = this._svg_el('text', { y: o.margin.top + 10, 'font-size': 10, fill: '#000' }, this._cursor);
+
+    L.DomEvent.on(svg, 'mousemove', this._on_mousemove, this);
+    L.DomEvent.on(svg, 'mouseleave', this._on_mouseleave, this);
+    L.DomEvent.on(svg, 'mousedown', this._on_mousedown, this);
+    L.DomEvent.on(svg, 'mouseup', this._on_mouseup, this);
+
+    this._gpx.on('loaded elevation', this._update, this);
+    this._gpx.on('pointhover', this._on_pointhover, this);
+    this._gpx.on('pointout', this._hide_cursor, this);
+    this._update();
+    return this._container;
+  },
+
+  onRemove: function(map) {
+    this._gpx.off('loaded elevation', this._update, this);
+    this._gpx.off('pointhover', this._on_pointhover, this);
+    this._gpx.off('pointout', this._hide_cursor, this);
+    if (this._marker) this._marker.remove();
+  },
+
+  // Draw the profile again, for instance after changing the options.
+  refresh: function() {
+    if (this._container) this._update();
+    return this;
+  },
+
+  _update: function() {
+    var o = this.options, gpx = this._gpx, m = o.margin, i;
+    var w = o.width - m.left - m.right, h = o.height - m.top - m.bottom;
+    // about two points per pixel keep the shape of the profile
+    var series = gpx.get_series({ x: o.x, y: o.field, units: 'raw', max_points: 2 * w });
+    var parts = series.parts.map(function(part) {
+      return part.map(function(p) { return [p[0], gpx._convert(o.field, p[1], o.imperial)]; });
+    });
+    var points = gpx._info._points, x_field = o.x == 'time' ? 'cumtime' : 'cumdist';
+    var x0 = points.length ? points[0].meta[x_field] : 0, x1 = points.length ? points[points.length - 1].meta[x_field] : 0;
+    var y_min = Infinity, y_max = -Infinity;
+    parts.forEach(function(part) {
+      part.forEach(function(p) {
+        y_min = Math.min(y_min, p[1]);
+        y_max = Math.max(y_max, p[1]);
+      });
+    });
+
+    this._scale = null;
+    this._axes.innerHTML = '';
+    this._line.setAttribute('d', '');
+    if (y_min > y_max || x1 <= x0) {
+      this._container.style.display = 'none';
+      return;
+    }
+    this._container.style.display = '';
+    if (y_min == y_max) {
+      y_min -= 1;
+      y_max += 1;
+    }
+
+    var scale = this._scale = {
+      x: function(x) { return m.left + (x - x0) / (x1 - x0) * w; },
+      y: function(y) { return m.top + (y_max - y) / (y_max - y_min) * h; },
+      value: function(px) { return x0 + Math.max(0, Math.min(1, (px - m.left) / w)) * (x1 - x0); }
+    };
+    this._x_field = x_field;
+
+    // the missing values leave gaps
+    this._line.setAttribute('d', parts.map(function(part) {
+      return part.map(function(p, i) {
+        return (i ? 'L' : 'M') + scale.x(p[0]).toFixed(1) + ',' + scale.y(p[1]).toFixed(1);
+      }).join('');
+    }).join(''));
+
+    this._svg_el('line', { x1: m.left, x2: m.left + w, y1: m.top + h, y2: m.top + h, stroke: '#999' }, this._axes);
+    this._svg_el('line', { x1: m.left, x2: m.left, y1: m.top, y2: m.top + h, stroke: '#999' }, this._axes);
+    this._text(this._format_y(y_max), m.left - 3, m.top + 8, 'end');
+    this._text(this._format_y(y_min), m.left - 3, m.top + h, 'end');
+    this._text(this._format_x(x0), m.left, m.top + h + 13, 'start');
+    this._text(this._format_x(x1), m.left + w, m.top + h + 13, 'end');
+    if (o.title) this._text(o.title, m.left + w / 2, m.top + h + 13, 'middle');
+  },
+
+  _format_y: function(y) {
+    var unit = this._gpx._unit(this.options.field, this.options.imperial);
+    return (Math.round(y * 10) / 10) + (unit ? ' ' + unit : '');
+  },
+
+  _format_x: function(x) {
+    if (this.options.x == 'time') return this._gpx.get_duration_string_iso(x, true);
+    return this.options.imperial ? this._gpx.m_to_mi(x).toFixed(1) + ' mi' : this._gpx.m_to_km(x).toFixed(1) + ' km';
+  },
+
+  _text: function(s, x, y, anchor) {
+    var text = this._svg_el('text', { x: x, y: y, 'text-anchor': anchor }, this._axes);
+    text.textContent = s;
+    return text;
+  },
+
+  _svg_el: function(tag, attrs, parent) {
+    var el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (var k in attrs) el.setAttribute(k, attrs[k]);
+    if (parent) parent.appendChild(el);
+    return el;
+  },
+
+  // The position on the lines at a horizontal pixel of the chart.
+  _hit: function(px) {
+    return this._gpx.get_point_at(this._x_field, this._scale.value(px));
+  },
+
+  _show_cursor: function(hit) {
+    var px = this._scale.x(hit[this._x_field]), label = this._cursor_label;
+    var y = hit.meta[this.options.field];
+    y = y != null && isFinite(y) ? this._gpx._convert(this.options.field, y, this.options.imperial) : null;
+    this._cursor.setAttribute('transform', 'translate(' + px.toFixed(1) + ',0)');
+    this._cursor.setAttribute('display', '');
+    label.textContent = (y != null ? this._format_y(y) + ', ' : '') + this._format_x(hit[this._x_field]);
+    var right = px > this.options.width / 2;
+    label.setAttribute('x', right ? -4 : 4);
+    label.setAttribute('text-anchor', right ? 'end' : 'start');
+  },
+
+  _hide_cursor: function() {
+    this._cursor.setAttribute('display', 'none');
+  },
+
+  _on_pointhover: function(e) {
+    if (this._scale) this._show_cursor(e);
+  },
+
+  _on_mousemove: function(e) {
+    if (!this._scale) return;
+    var px = L.DomEvent.getMousePosition(e, this._svg).x, hit = this._hit(px);
+    this._show_cursor(hit);
+    if (this._map) {
+      this._marker = this._marker || L.circleMarker(hit.latlng, L.extend({ interactive: false }, this.options.marker));
+      this._marker.setLatLng(hit.latlng).addTo(this._map);
+    }
+    if (this._drag_start != null) {
+      var m = this.options.margin, x = Math.max(m.left, Math.min(this.options.width - m.right, px));
+      this._selection.setAttribute('x', Math.min(this._drag_start, x));
+      this._selection.setAttribute('width', Math.abs(x - this._drag_start));
+      this._selection.setAttribute('display', '');
+    }
+  },
+
+  _on_mouseleave: function() {
+    this._hide_cursor();
+    if (this._marker) this._marker.remove();
+    this._drag_start = null;
+    this._selection.setAttribute('display', 'none');
+  },
+
+  _on_mousedown: function(e) {
+    if (!this._scale) return;
+    L.DomEvent.preventDefault(e);
+    this._drag_start = L.DomEvent.getMousePosition(e, this._svg).x;
+  },
+
+  // Dragging over the chart zooms the map to that part of the lines and
+  // selects it as range, clicking clears the range.
+  _on_mouseup: function(e) {
+    if (this._drag_start == null) return;
+    var px = L.DomEvent.getMousePosition(e, this._svg).x, start = this._drag_start;
+    this._drag_start = null;
+    this._selection.setAttribute('display', 'none');
+    if (Math.abs(px - start) < 3) {
+      this._gpx.clear_range();
+      return;
+    }
+
+    var a = this._hit(Math.min(start, px)).index, b = this._hit(Math.max(start, px)).index + 1;
+    b = Math.min(b, this._gpx._info._points.length - 1);
+    this._gpx.set_range(a, b);
+    if (this._map) this._map.fitBounds(L.latLngBounds(this._gpx._info._points.slice(a, b + 1)));
+  }
+});
+
+if (typeof module === 'object' && typeof module.exports === 'object') {
+  module.exports = L;
+} else if (typeof define === 'function' && define.amd) {
+  define(L);
+}
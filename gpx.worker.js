@@ -0,0 +1,399 @@
+/*
+ * Parsing GPX files in a web worker, with the worker option. Without this
+ * file, they are parsed on the main thread.
+ *
+ * Part of leaflet-gpx, see the copyright header in gpx.js. Load it after
+ * gpx.js.
+ */
+
+var L = L || require('leaflet');
+
+var _DEFAULT_TIME = L.GPX._shared.default_time;
+
+L.GPX.include({
+  _parse_in_worker: function(text, cb, options) {
+    var _this = this;
+    var source = 'var gpx = {' + this._worker_methods().map(function(f) {
+      return f + ': ' + L.GPX.prototype[f].toString();
+    }).join(',\n') + '};\n' +
+      'onmessage = function(e) {\n' +
+      '  gpx._fields = e.data.fields;\n' +
+      '  var data = gpx._scan_gpx(e.data.text, e.data.options, function(loaded, total) {\n' +
+      '    postMessage({ progress: { loaded: loaded, total: total } });\n' +
+      '  });\n' +
+      '  postMessage({ data: data });\n' +
+      '};\n';
+
+    var url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    var worker = new Worker(url);
+    var stop = function() {
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    };
+    var abort = function() {
+      stop();
+      _this._error({ err: 'Parsing aborted', aborted: true });
+    };
+    if (options.signal) options.signal.addEventListener('abort', abort);
+
+    worker.onmessage = function(e) {
+      if (e.data.progress) {
+        _this.fire('progress', L.Util.extend({ stage: 'parse' }, e.data.progress));
+        return;
+      }
+      stop();
+      if (e.data.data.root != 'gpx') {
+        // only GPX is parsed off the main thread
+        cb(new DOMParser().parseFromString(text, 'text/xml'), options);
+        return;
+      }
+      _this._loaded(_this._parse_data(e.data.data, options, _this._parse_worker_data), null, options);
+    };
+    worker.onerror = function(e) {
+      stop();
+      _this._error({ err: 'Parsing failed: ' + e.message, error: e });
+    };
+    worker.postMessage({ text: text, options: {
+      max_point_interval: options.max_point_interval,
+      elevation_threshold: options.elevation_threshold,
+      stop_options: options.stop_options,
+      filter_options: options.filter_options,
+      gpx_options: options.gpx_options,
+      default_time: _DEFAULT_TIME
+    }, fields: this._worker_fields() });
+  },
+
+  // The methods the worker runs: _scan_gpx and the ones it calls. They are
+  // listed rather than found in their source, whose variables minifiers
+  // rename.
+  _worker_methods: function() {
+    return ['_scan_gpx', '_init_metadata', '_xml_unescape', '_scan_attrs', '_parse_field', '_split_keywords',
+      '_segment_stats', '_init_stats', '_filter_points', '_smooth_values', '_add_point', '_detect_stops',
+      '_finish_stats', '_dist2d', '_dist3d', '_deg2rad'];
+  },
+
+  // The extension fields as they can be sent to a worker, or null if one of
+  // them has its own parser function.
+  _worker_fields: function() {
+    var fields = {};
+    for (var name in this._fields) {
+      var f = this._fields[name];
+      if (typeof f.parser === 'function') return null;
+      fields[name] = { namespace: f.namespace, element: f.element, parser: f.parser, aggregation: f.aggregation };
+    }
+    return fields;
+  },
+
+  // Build the layers from the output of _scan_gpx.
+  _parse_worker_data: function(data, options) {
+    var i, layers = [];
+
+    this._info.metadata = data.metadata;
+    if (data.metadata.bounds) this._info.metadata.bounds = L.latLngBounds(data.metadata.bounds);
+
+    for (i = 0; i < data.routes.length; i++) {
+      layers = layers.concat(this._parse_route(null, this._worker_segments(data.routes[i]),
+        options, this._merge_objs({}, data.routes[i].line_style), data.routes[i].style, data.routes[i].info));
+    }
+
+    for (i = 0; i < data.tracks.length; i++) {
+      layers = layers.concat(this._parse_track(null, this._worker_segments(data.tracks[i]),
+        options, this._extract_styling(null, data.tracks[i].line_style), data.tracks[i].style, data.tracks[i].info));
+    }
+
+    for (i = 0; i < data.waypoints.length; i++) {
+      var ll = new L.LatLng(data.waypoints[i].lat, data.waypoints[i].lng);
+      ll.meta = data.waypoints[i].meta;
+      var marker = this._parse_waypoint(ll, null, options);
+      if (marker) layers.push(marker);
+    }
+
+    this._set_names();
+    return layers;
+  },
+
+  _worker_segments: function(line) {
+    return line.segments.map(function(seg) {
+      var lls = new Map();
+      for (var i = 0; i < seg.points.length; i++) {
+        var p = seg.points[i], ll = new L.LatLng(p.ll.lat, p.ll.lng);
+        ll.meta = p.ll.meta;
+        lls.set(p.ll, ll);
+        p.ll = ll;
+        seg.stats._points.push(ll);
+      }
+      seg.stats.stops.forEach(function(stop) { stop.latlng = lls.get(stop.latlng); });
+      return seg;
+    });
+  },
+
+  // Parse GPX text without a DOM, so that it can run in a web worker: the
+  // points of each segment come back with their meta and statistics, ready to
+  // be turned into layers by _parse_worker_data. This method and the ones it
+  // uses must not depend on anything but their arguments and each other.
+  _scan_gpx: function(text, options, progress) {
+    var re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([^\s\/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    var doc = { root: null, metadata: this._init_metadata(), routes: [], tracks: [], waypoints: [] };
+    var parseElements = options.gpx_options.parseElements;
+    var stack = [], m, el, parent, owner, attrs, line = null, seg = null, pt = null, wpt = null, link = null, style = null, n = 0;
+    var _this = this, fields = {}, ns, k;
+    var local = function(name) { return name.substr(name.indexOf(':') + 1); };
+    var prefix = function(name) { return name.indexOf(':') > -1 ? name.substr(0, name.indexOf(':')) : ''; };
+
+    // the extension fields by element name
+    for (k in this._fields) {
+      this._fields[k].element.forEach(function(e) { (fields[e] = fields[e] || []).push(k); });
+    }
+
+    while ((m = re.exec(text)) !== null) {
+      el = stack.length ? stack[stack.length-1] : null;
+      if (m[6] != null || m[1] != null) {
+        if (el) el.text += m[1] != null ? m[1] : (m[6].indexOf('&') > -1 ? this._xml_unescape(m[6]) : m[6]);
+        continue;
+      }
+      if (m[3] == null) continue; // comment, processing instruction or doctype
+
+      if (!m[2]) {
+        ns = el ? el.ns : {};
+        if (m[4].indexOf('xmlns') > -1) {
+          // namespaces declared on this element
+          ns = Object.create(ns);
+          var xmlns = /xmlns(?::([^\s=]+))?\s*=\s*(?:"([^"]*)"|'([^']*)')/g, x;
+          while ((x = xmlns.exec(m[4])) !== null) ns[x[1] || ''] = x[2] != null ? x[2] : x[3];
+        }
+        el = { name: local(m[3]), prefix: prefix(m[3]), ns: ns, attrs: m[4], text: '', collect: el != null && el.collect };
+        parent = stack.length ? stack[stack.length-1].name : null;
+        stack.push(el);
+
+        if (doc.root == null) {
+          doc.root = el.name;
+          if (el.name != 'gpx') return doc;
+        }
+
+        switch (el.name) {
+        case 'trk':
+        case 'rte':
+          line = { style: null, line_style: null, info: { links: [] }, segments: [] };
+          if (el.name == 'trk' && parseElements.indexOf('track') > -1) doc.tracks.push(line);
+          if (el.name == 'rte' && parseElements.indexOf('route') > -1) doc.routes.push(line);
+          if (el.name == 'rte') {
+            seg = { style: null, points: [] };
+            line.segments.push(seg);
+          }
+          break;
+        case 'trkseg':
+          seg = { style: null, points: [] };
+          if (line) line.segments.push(seg);
+          break;
+        case 'trkpt':
+        case 'rtept':
+          attrs = this._scan_attrs(el.attrs);
+          pt = { ll: { lat: parseFloat(attrs.lat), lng: parseFloat(attrs.lon), meta: {
+            time: new Date(options.default_time), vel: 0, ele: null, grd: null, cumdist: 0, cumtime: 0
+          } }, element: null, name: null, ranks: {} };
+          for (k in this._fields) pt.ll.meta[k] = null;
+          if (seg) seg.points.push(pt);
+          if (progress && ++n % 10000 == 0) progress(re.lastIndex, text.length);
+          break;
+        case 'wpt':
+          attrs = this._scan_attrs(el.attrs);
+          wpt = { lat: parseFloat(attrs.lat), lng: parseFloat(attrs.lon),
+            meta: { name: '', desc: '', cmt: null, src: null, link: null, links: [], sym: null, type: null, ele: null, time: null } };
+          break;
+        case 'link':
+          attrs = this._scan_attrs(el.attrs);
+          link = { href: attrs.href != null ? attrs.href : null, text: null, type: null };
+          if (parent == 'wpt' && wpt) {
+            if (wpt.meta.link == null) wpt.meta.link = link.href;
+            wpt.meta.links.push(link);
+          }
+          if ((parent == 'trk' || parent == 'rte') && line) line.info.links.push(link);
+          if (parent == 'metadata') doc.metadata.links.push(link);
+          if (parent == 'author' && doc._author) doc._author.link = attrs.href;
+          break;
+        case 'bounds':
+          attrs = this._scan_attrs(el.attrs);
+          if (parent == 'metadata' || parent == 'gpx') {
+            doc.metadata.bounds = [[parseFloat(attrs.minlat), parseFloat(attrs.minlon)],
+              [parseFloat(attrs.maxlat), parseFloat(attrs.maxlon)]];
+          }
+          break;
+        case 'email':
+          attrs = this._scan_attrs(el.attrs);
+          if (parent == 'author' && doc._author && attrs.id) doc._author.email = attrs.id + '@' + attrs.domain;
+          break;
+        case 'author':
+          el.collect = true;
+          if (parent == 'metadata' || parent == 'gpx') doc._author = { name: null, email: null, link: null };
+          break;
+        case 'copyright':
+          el.collect = true;
+          attrs = this._scan_attrs(el.attrs);
+          if (parent == 'metadata' || parent == 'gpx') doc._copyright = { author: attrs.author || null, year: null, license: null };
+          break;
+        case 'line':
+          // gpx_style of the element owning the <extensions>
+          owner = stack.length > 2 && parent == 'extensions' ? stack[stack.length-3].name : null;
+          style = {};
+          if ((owner == 'trk' || owner == 'rte') && line) line.style = style;
+          if (owner == 'trkseg' && seg) seg.style = style;
+          if (line && line.line_style == null) line.line_style = style;
+          break;
+        }
+      }
+
+      if (m[2] || m[5]) {
+        el = stack.pop();
+        parent = stack.length ? stack[stack.length-1] : null;
+        if (parent && parent.collect) parent.text += el.text;
+        parent = parent ? parent.name : null;
+
+        // extension fields, from the first of their namespaces that has them
+        if (pt && fields[el.name]) {
+          ns = el.ns[el.prefix] || null;
+          fields[el.name].forEach(function(name) {
+            var rank = _this._fields[name].namespace.indexOf(ns);
+            if (rank < 0) rank = _this._fields[name].namespace.indexOf('*');
+            if (rank < 0 || (name in pt.ranks && pt.ranks[name] <= rank)) return;
+            pt.ranks[name] = rank;
+            pt.ll.meta[name] = _this._parse_field(_this._fields[name], el.text);
+          });
+        }
+
+        switch (el.name) {
+        case 'name':
+          if (parent == 'trkpt' || parent == 'rtept') pt.name = pt.ll.meta.name = el.text;
+          if (parent == 'wpt') wpt.meta.name = el.text;
+          if ((parent == 'trk' || parent == 'rte') && line) line.info.name = el.text;
+          if (parent == 'metadata' || parent == 'gpx') doc.metadata.name = el.text;
+          if (parent == 'author' && doc._author) doc._author.name = el.text;
+          break;
+        case 'desc':
+          if (parent == 'wpt') wpt.meta.desc = el.text;
+          if ((parent == 'trk' || parent == 'rte') && line) line.info.desc = el.text;
+          if (parent == 'metadata' || parent == 'gpx') doc.metadata.desc = el.text;
+          break;
+        case 'cmt':
+        case 'src':
+          if (parent == 'wpt') wpt.meta[el.name] = el.text;
+          if ((parent == 'trk' || parent == 'rte') && line) line.info[el.name] = el.text;
+          break;
+        case 'number':
+          if ((parent == 'trk' || parent == 'rte') && line) line.info.number = parseInt(el.text);
+          break;
+        case 'text':
+          if (parent == 'link' && link) link.text = el.text;
+          break;
+        case 'keywords':
+          if (parent == 'metadata' || parent == 'gpx') doc.metadata.keywords = this._split_keywords(el.text);
+          break;
+        case 'ele':
+          if (parent == 'trkpt' || parent == 'rtept') pt.ll.meta.ele = parseFloat(el.text);
+          if (parent == 'wpt') wpt.meta.ele = parseFloat(el.text);
+          break;
+        case 'time':
+          if (parent == 'trkpt' || parent == 'rtept') pt.ll.meta.time = new Date(Date.parse(el.text));
+          if (parent == 'wpt') wpt.meta.time = new Date(Date.parse(el.text));
+          if (parent == 'metadata' || parent == 'gpx') doc.metadata.time = new Date(Date.parse(el.text));
+          break;
+        case 'sym':
+          if (parent == 'wpt') wpt.meta.sym = el.text;
+          break;
+        case 'type':
+          if (parent == 'wpt') wpt.meta.type = el.text;
+          if ((parent == 'trk' || parent == 'rte') && line) line.info.type = el.text;
+          if (parent == 'link' && link) link.type = el.text;
+          break;
+        case 'link':
+          link = null;
+          break;
+        case 'color':
+          if (parent == 'line' && style) style.color = '#' + el.text;
+          break;
+        case 'opacity':
+        case 'weight':
+          if (parent == 'line' && style) style[el.name] = el.text;
+          break;
+        case 'linecap':
+          if (parent == 'line' && style) style.lineCap = el.text;
+          break;
+        case 'year':
+        case 'license':
+          if (parent == 'copyright' && doc._copyright) doc._copyright[el.name] = el.text;
+          break;
+        case 'author':
+          if (doc._author) {
+            // GPX 1.0 authors are plain text
+            if (doc._author.name == null) doc._author.name = el.text;
+            doc.metadata.author = doc._author;
+            delete doc._author;
+          }
+          break;
+        case 'copyright':
+          if (doc._copyright) {
+            // GPX 1.0 copyrights are plain text
+            if (doc._copyright.author == null && doc._copyright.year == null && doc._copyright.license == null) {
+              doc._copyright.author = el.text || null;
+            }
+            doc.metadata.copyright = doc._copyright;
+            delete doc._copyright;
+          }
+          break;
+        case 'trkpt':
+        case 'rtept':
+          if (pt) delete pt.ranks;
+          pt = null;
+          break;
+        case 'wpt':
+          if (parseElements.indexOf('waypoint') > -1) doc.waypoints.push(wpt);
+          wpt = null;
+          break;
+        case 'trkseg':
+          seg = null;
+          break;
+        case 'trk':
+        case 'rte':
+          line = seg = null;
+          break;
+        case 'line':
+          style = null;
+          break;
+        }
+      }
+    }
+
+    var lines = doc.tracks.concat(doc.routes);
+    for (var i = 0; i < lines.length; i++) {
+      for (var j = 0; j < lines[i].segments.length; j++) {
+        seg = lines[i].segments[j];
+        seg.stats = this._segment_stats(seg.points, options);
+        seg.stats._points = []; // rebuilt from the points on the main thread
+      }
+    }
+    if (progress) progress(text.length, text.length);
+    return doc;
+  },
+
+  _scan_attrs: function(s) {
+    var re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, m, attrs = {};
+    while ((m = re.exec(s)) !== null) {
+      attrs[m[1].substr(m[1].indexOf(':') + 1)] = this._xml_unescape(m[2] != null ? m[2] : m[3]);
+    }
+    return attrs;
+  },
+
+  _xml_unescape: function(s) {
+    var entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return s.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, function(m, e) {
+      if (e.charAt(0) != '#') return entities[e];
+      return String.fromCodePoint(e.charAt(1) == 'x' ? parseInt(e.substr(2), 16) : parseInt(e.substr(1), 10));
+    });
+  }
+});
+
+if (typeof module === 'object' && typeof module.exports === 'object') {
+  module.exports = L;
+} else if (typeof define === 'function' && define.amd) {
+  define(L);
+}
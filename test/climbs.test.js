@@ -0,0 +1,118 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, (message || '') + ': ' + actual + ' != ' + expected);
+}
+
+// Up by 80 m with a dip of 5 m, down by 80 m, then flat and up by 5 m,
+// with points 136 m apart
+var ELE = [100, 110, 120, 130, 125, 140, 160, 180, 170, 150, 120, 100, 100, 105];
+var X = h.track(h.trkpts(ELE.length, { step: 0.001, ele: function(i) { return ELE[i]; } }));
+
+function spans(climbs) {
+  return climbs.map(function(c) { return [c.from, c.to, c.gain]; });
+}
+
+test('climbs and descents between the turning points', function() {
+  var g = new L.GPX(X, {}), p = g._info._points;
+  var dist = function(i, j) { return p[j].meta.cumdist - p[i].meta.cumdist; };
+  // the dip is within the tolerance, and the last 5 m are too little
+  var climbs = g.get_climbs(), descents = g.get_descents();
+  assert.deepStrictEqual(spans(climbs), [[0, 7, 80]]);
+  assert.deepStrictEqual(spans(descents), [[7, 11, -80]]);
+
+  var c = climbs[0];
+  assert.strictEqual(c.type, 'climb');
+  assert.strictEqual(c.length, dist(0, 7));
+  near(c.avg_gradient, 80 / dist(0, 7) * 100, 'average gradient');
+  // over single stretches, all longer than the 100 m window: the last one
+  // is the shorter of the two climbing 20 m, further north
+  near(c.max_gradient, 20 / dist(6, 7) * 100, 'maximum gradient');
+  near(c.score, 8000, 'score');
+  near(descents[0].max_gradient, -30 / dist(9, 10) * 100, 'steepest descent');
+  assert.strictEqual(descents[0].category, null);
+});
+
+test('tolerance of the turning points', function() {
+  var g = new L.GPX(X, { climb_options: { tolerance: 4 } });
+  // the 5 m climb at the end starts after the flat
+  assert.deepStrictEqual(spans(g.get_climbs()), [[0, 3, 30], [4, 7, 55]]);
+  assert.deepStrictEqual(spans(g.get_descents()), [[7, 11, -80]]);
+
+  g = new L.GPX(X, { climb_options: { tolerance: 4, min_gain: 5 } });
+  assert.deepStrictEqual(spans(g.get_climbs()), [[0, 3, 30], [4, 7, 55], [12, 13, 5]]);
+  assert.deepStrictEqual(spans(g.get_descents()), [[3, 4, -5], [7, 11, -80]]);
+});
+
+test('minimum gain and gradient', function() {
+  var count = function(opts) {
+    var g = new L.GPX(X, { climb_options: opts });
+    return [g.get_climbs().length, g.get_descents().length];
+  };
+  assert.deepStrictEqual(count({ min_gain: 80 }), [1, 1]);
+  assert.deepStrictEqual(count({ min_gain: 81 }), [0, 0]);
+  // 8.4 % up, 14.7 % down
+  assert.deepStrictEqual(count({ min_gradient: 10 }), [0, 1]);
+  assert.deepStrictEqual(count({ min_gradient: 15 }), [0, 0]);
+});
+
+test('categories from the scores', function() {
+  var categories = [{ name: 'small', score: 50 }, { name: 'big', score: 80 }];
+  var score = function(climb) { return climb.gain; };
+  var g = new L.GPX(X, { climb_options: { tolerance: 4, score: score, categories: categories } });
+  assert.deepStrictEqual(g.get_climbs().map(function(c) { return [c.score, c.category]; }), [[30, null], [55, 'small']]);
+  g = new L.GPX(X, { climb_options: { score: score, categories: categories } });
+  assert.deepStrictEqual(g.get_climbs().map(function(c) { return [c.score, c.category]; }), [[80, 'big']]);
+  // descents have a positive score, but no category
+  assert.deepStrictEqual(g.get_descents().map(function(c) { return [c.score, c.category]; }), [[80, null]]);
+
+  // Strava's
+  var ele = function(i) { return 100 + 10 * i; };
+  var cat = function(n) {
+    return new L.GPX(h.track(h.trkpts(n + 1, { step: 0.001, ele: ele })), {}).get_climbs()[0].category;
+  };
+  assert.deepStrictEqual([cat(7), cat(9), cat(17), cat(33), cat(65), cat(81)], [null, 'Cat 4', 'Cat 3', 'Cat 2', 'Cat 1', 'HC']);
+});
+
+test('addclimb events and highlighted climbs', function() {
+  var events = [];
+  var g = new L.GPX(X, { async: true, climb_options: { detect: true, highlight: { weight: 8 }, tolerance: 4 } });
+  g.on('addclimb', function(e) { events.push(e); });
+  return g.ready.then(function() {
+    // in the order of the track
+    assert.deepStrictEqual(events.map(function(e) { return [e.climb.type, e.climb.from]; }),
+      [['climb', 0], ['climb', 4], ['descent', 7]]);
+    assert.deepStrictEqual(events.map(function(e) { return e.line.options.color; }), ['#f7e4a0', '#f7e4a0', '#2c7bb6']);
+    events.forEach(function(e) {
+      assert.ok(g.hasLayer(e.line));
+      assert.strictEqual(e.line.climb, e.climb);
+      assert.strictEqual(e.line.options.weight, 8);
+      var lls = e.line.getLatLngs()[0];
+      assert.strictEqual(lls[0], g.get_point(e.climb.from));
+      assert.strictEqual(lls[lls.length - 1], g.get_point(e.climb.to));
+    });
+
+    // again with the new elevations, replacing the lines
+    var old = events.map(function(e) { return e.line; });
+    events = [];
+    return g.update_elevations({ get_elevations: function(lls) {
+      return Promise.resolve(lls.map(function(ll, i) { return 100 + 30 * i; }));
+    } }, 'replace').then(function() {
+      assert.deepStrictEqual(events.map(function(e) { return [e.climb.from, e.climb.to, e.climb.category]; }), [[0, 13, 'Cat 2']]);
+      assert.strictEqual(events[0].line.options.color, '#f46d43');
+      old.forEach(function(l) { assert.ok(!g.hasLayer(l)); });
+    });
+  });
+});
+
+test('climbs without highlight', function() {
+  var events = [];
+  var g = new L.GPX(X, { async: true, climb_options: { detect: true } });
+  g.on('addclimb', function(e) { events.push(e); });
+  return g.ready.then(function() {
+    assert.deepStrictEqual(events.map(function(e) { return [e.climb.type, e.line]; }), [['climb', null], ['descent', null]]);
+  });
+});
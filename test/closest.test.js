@@ -0,0 +1,23 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+test('closestLayerLatLng() finds the closest point in meters', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), {});
+  var points = g._info._points;
+  [[45.00021, 6.00019], [45.0052, 6.0013], [45.02, 6.01], [45.006, 6.0041]].forEach(function(ll) {
+    var best = 0;
+    for (var i = 1; i < points.length; i++) {
+      if (L.latLng(ll).distanceTo(points[i]) < L.latLng(ll).distanceTo(points[best])) best = i;
+    }
+    assert.deepStrictEqual(g.closestLayerLatLng(L.latLng(ll)), [best, points[best]]);
+    assert.deepStrictEqual(g.closestLayerLatLng(ll, true), [best, points[best]]);
+  });
+});
+
+test('closestLayerLatLng() without points', function() {
+  var g = new L.GPX(null, {});
+  assert.strictEqual(g.closestLayerLatLng([45, 6]), null);
+  assert.strictEqual(g.closestLayerLatLng([45, 6], true), null);
+});
@@ -0,0 +1,91 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function colored(g) {
+  var lines = [];
+  (function walk(layer) {
+    if (layer instanceof L.GPXColoredPolyline) lines.push(layer);
+    else if (layer.eachLayer) layer.eachLayer(walk);
+  })(g);
+  return lines;
+}
+
+test('lines are split in bins of the color scale', function() {
+  var x = h.track(h.trkpts(9, { ele: function(i) { return i * 10; } }));
+  var g = new L.GPX(x, { polyline_options: { color_by: { field: 'ele', bins: 4 } } });
+  var scale = g.get_color_scale();
+  assert.deepStrictEqual(scale.domain, [0, 80]);
+  assert.strictEqual(scale.colors.length, 4);
+  // halfway between the first two colors of the ramp
+  assert.strictEqual(scale.colors[0], '#6caad0');
+
+  // each stretch gets the color of the value at its end, 80 in the last bin
+  var bins = colored(g)[0].getLayers();
+  assert.deepStrictEqual(bins.map(function(l) { return l.options.color; }), scale.colors);
+  assert.deepStrictEqual(bins.map(function(l) {
+    return l.getLatLngs().map(function(part) { return part.map(function(ll) { return ll.meta.ele; }); });
+  }), [[[0, 10]], [[10, 20, 30]], [[30, 40, 50]], [[50, 60, 70, 80]]]);
+});
+
+test('points without a value keep the color of the style', function() {
+  var x = h.track(h.trkpts(6, { extensions: function(i) {
+    return i == 3 ? '' : '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (100 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>';
+  } }));
+  var g = new L.GPX(x, { polyline_options: { color: '#123456', color_by: { field: 'hr', bins: 2 } } });
+  var colors = colored(g)[0].getLayers().map(function(l) { return l.options.color; }).sort();
+  assert.deepStrictEqual(colors, ['#123456'].concat(g.get_color_scale().colors).sort());
+});
+
+test('all the lines of a file share the value domain', function() {
+  var x = h.gpx('<trk><trkseg>' + h.trkpts(5, { ele: function(i) { return i; } }) + '</trkseg></trk>' +
+    '<trk><trkseg>' + h.trkpts(5, { lat: 45.1, ele: function(i) { return 100 + i; } }) + '</trkseg></trk>');
+  var g = new L.GPX(x, { polyline_options: { color_by: { field: 'ele', bins: 2 } } });
+  var scale = g.get_color_scale();
+  assert.deepStrictEqual(scale.domain, [0, 104]);
+
+  var lines = colored(g);
+  assert.strictEqual(lines.length, 2);
+  assert.deepStrictEqual(lines.map(function(l) {
+    return l.getLayers().map(function(p) { return p.options.color; });
+  }), [[scale.colors[0]], [scale.colors[1]]]);
+
+  // a given domain is kept
+  g = new L.GPX(x, { polyline_options: { color_by: { field: 'ele', domain: [0, 10], bins: 2 } } });
+  assert.deepStrictEqual(g.get_color_scale().domain, [0, 10]);
+});
+
+test('colored lines can be simplified', function() {
+  var x = h.track(h.trkpts(500, { ele: function(i) { return i % 50; } }));
+  var map = h.map();
+  var g = new L.GPX(x, { polyline_options: { color_by: 'ele', simplify: true } }).addTo(map);
+  var lines = colored(g)[0].getLayers(), drawn = 0, points = 0;
+  lines.forEach(function(l) {
+    assert.ok(l instanceof L.GPXSimplifiedPolyline);
+    l.getLatLngs().forEach(function(part) { points += part.length; });
+    l._parts.forEach(function(part) { drawn += part.length; });
+  });
+  assert.ok(drawn > 0);
+  assert.ok(drawn < points);
+  map.remove();
+});
+
+test('the legend shows the color scale', function() {
+  var x = h.track(h.trkpts(5, { ele: function(i) { return 100 + i * 12.34; } }));
+  var map = h.map();
+  var g = new L.GPX(x, { polyline_options: { color_by: 'ele' } });
+  var legend = new L.Control.GPXLegend(g, { title: 'Elevation' }).addTo(map);
+  var el = legend.getContainer();
+  assert.strictEqual(el.style.display, '');
+  assert.strictEqual(el.querySelector('.leaflet-gpx-legend-title').textContent, 'Elevation');
+  assert.deepStrictEqual(Array.prototype.map.call(el.querySelectorAll('.leaflet-gpx-legend-labels span'), function(s) {
+    return s.textContent;
+  }), ['100 m', '149.4 m']);
+  assert.ok(el.querySelector('.leaflet-gpx-legend-bar').style.background.indexOf('linear-gradient') > -1);
+
+  // hidden without a scale
+  legend = new L.Control.GPXLegend(new L.GPX(x, {})).addTo(map);
+  assert.strictEqual(legend.getContainer().style.display, 'none');
+  map.remove();
+});
@@ -0,0 +1,92 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function hr(i) { return '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (120 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>'; }
+
+test('points are matched at the same distance from the start', function() {
+  var a = new L.GPX(h.track(h.trkpts(20, { extensions: hr })), {});
+  var b = new L.GPX(h.track(h.trkpts(20, { interval: 6, extensions: function(i) { return hr(i + 10); } })), {});
+  var result = a.compare(b, { section: 100 });
+
+  // the other layer takes one more second for each point
+  result.points.forEach(function(m, i) {
+    assert.strictEqual(m.other.index, i);
+    assert.ok(m.distance < 1e-6);
+    assert.strictEqual(m.beyond, false);
+    assert.ok(Math.abs(m.gap - i * 1000) < 1e-6);
+  });
+  assert.ok(Math.abs(result.gap - 19000) < 1e-6);
+  assert.deepStrictEqual(result.divergences, []);
+
+  var s = result.sections;
+  assert.strictEqual(s.length, Math.ceil(a.get_distance() / 100));
+  s.forEach(function(section) {
+    assert.strictEqual(section.reached, true);
+    // the other layer is compared from point to point, within one interval
+    assert.ok(Math.abs(section.delta.time - section.stats.duration.total / 5) < 6000);
+    assert.ok(section.delta.pace > 0);
+    assert.strictEqual(section.delta.ele, section.other.elevation.gain - section.stats.elevation.gain);
+  });
+  assert.strictEqual(s[0].delta.hr, 10);
+});
+
+test('sections past the end of the other layer are not compared', function() {
+  var a = new L.GPX(h.track(h.trkpts(20)), {});
+  var b = new L.GPX(h.track(h.trkpts(10)), {});
+  var result = a.compare(b, { section: 100 });
+
+  assert.strictEqual(result.points[9].beyond, false);
+  assert.strictEqual(result.points[9].gap, 0);
+  assert.strictEqual(result.points[10].beyond, true);
+  assert.strictEqual(result.points[10].gap, null);
+  assert.strictEqual(result.gap, null);
+
+  var last = result.sections[result.sections.length - 1];
+  assert.strictEqual(result.sections[0].reached, true);
+  assert.strictEqual(last.reached, false);
+  assert.deepStrictEqual(last.delta, { time: null, pace: null, hr: null, ele: null });
+});
+
+test('missing times and heart rates are not compared', function() {
+  var a = new L.GPX(h.track(h.trkpts(20, { extensions: hr })), {});
+  var b = new L.GPX(h.track(h.trkpts(20, { notime: true })), {});
+  var result = a.compare(b, { section: 100 });
+  assert.strictEqual(result.points[5].gap, null);
+  result.sections.forEach(function(section) {
+    assert.strictEqual(section.reached, true);
+    assert.strictEqual(section.delta.time, null);
+    assert.strictEqual(section.delta.pace, null);
+    assert.strictEqual(section.delta.hr, null);
+  });
+
+  // neither has a heart rate
+  result = b.compare(new L.GPX(h.track(h.trkpts(20, { notime: true })), {}), { section: 100 });
+  assert.strictEqual(result.sections[0].delta.hr, null);
+  assert.strictEqual(result.sections[0].delta.ele, 0);
+});
+
+test('map-matching and divergences', function() {
+  // a detour of about 70 m from the other line, from the 9th to the 12th point
+  var x = h.trkpts(20).split('</trkpt>').map(function(pt, i) {
+    return i < 8 || i > 11 ? pt : pt.replace(/lat="([\d.]+)"/, function(m, lat) { return 'lat="' + (+lat + 0.001).toFixed(6) + '"'; });
+  }).join('</trkpt>');
+  var a = new L.GPX(h.track(x), {});
+  var b = new L.GPX(h.track(h.trkpts(20, { interval: 6 })), {});
+  var result = a.compare(b, { align: 'map-matching', section: 100 });
+
+  assert.strictEqual(result.points[15].other.index, 15);
+  assert.ok(result.points[15].distance < 1e-6);
+  assert.ok(Math.abs(result.points[15].gap - 15000) < 1e-6);
+
+  assert.strictEqual(result.divergences.length, 1);
+  var d = result.divergences[0];
+  assert.deepStrictEqual([d.from, d.to], [8, 11]);
+  assert.ok(d.distance > 50 && d.distance < 100);
+  assert.ok([8, 9, 10, 11].map(function(i) { return a.get_point(i); }).indexOf(d.latlng) > -1);
+  assert.strictEqual(result.points.filter(function(m) { return m.beyond; }).length, 0);
+
+  // with a tolerance larger than the detour
+  assert.deepStrictEqual(a.compare(b, { align: 'map-matching', divergence: 200 }).divergences, []);
+});
@@ -0,0 +1,121 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+// A .hgt file of 3 by 3 samples, 1000 + 100 * row + 10 * column, from the
+// north-west corner
+function hgt(unknown) {
+  var view = new DataView(new ArrayBuffer(18));
+  for (var r = 0; r < 3; r++) {
+    for (var c = 0; c < 3; c++) view.setInt16(2 * (3 * r + c), 1000 + 100 * r + 10 * c);
+  }
+  if (unknown) view.setInt16(0, -32768);
+  return view.buffer;
+}
+
+// Serves the given files, or an HTTP error for a number, and 404 for the
+// others as for the sea
+function serve(files) {
+  var urls = [];
+  window.fetch = function(url, options) {
+    urls.push([url, options]);
+    var name = url.replace(/^.*\//, '');
+    return Promise.resolve(name in files ?
+      new Response(files[name], { status: typeof files[name] === 'number' ? files[name] : 200 }) :
+      new Response(null, { status: 404 }));
+  };
+  return urls;
+}
+
+function pt(lat, lon, ele, t) {
+  return '<trkpt lat="' + lat + '" lon="' + lon + '">' + (ele != null ? '<ele>' + ele + '</ele>' : '') +
+    '<time>2020-01-01T10:0' + t + ':00Z</time></trkpt>';
+}
+
+// at the middle of the first four samples, on the middle one and at the
+// middle of the last four
+var TRACK = h.gpx('<wpt lat="45.5" lon="6.5"><name>Middle</name></wpt>' +
+  '<trk><trkseg>' + pt(45.75, 6.25, null, 0) + pt(45.5, 6.5, null, 1) + pt(45.25, 6.75, 700, 2) + '</trkseg></trk>');
+
+function elevations(g) {
+  return g._info._points.map(function(p) { return p.meta.ele; });
+}
+
+test('elevations of SRTM files', function() {
+  var urls = serve({ 'N45E006.hgt': hgt() });
+  var provider = new L.GPXElevationHGT('https://example.com/srtm/{name}.hgt', { fetch_options: { mode: 'cors' } });
+  var events = [];
+  var g = new L.GPX(TRACK, { elevation_options: { provider: provider } });
+  g.on('elevation', function(e) { events.push(e.points); });
+  return g.ready.then(function() {
+    // the points without elevation, and the waypoint
+    assert.deepStrictEqual(elevations(g), [1055, 1110, 700]);
+    assert.strictEqual(g.get_waypoint_list()[0].meta.ele, 1110);
+    assert.deepStrictEqual(events, [3]);
+    assert.strictEqual(g._info._points[0].meta.original.ele, null);
+    assert.strictEqual(g._info._points[2].meta.original, undefined);
+    // one download of the file for all the points
+    assert.deepStrictEqual(urls, [['https://example.com/srtm/N45E006.hgt', { mode: 'cors' }]]);
+
+    // the statistics are computed with them
+    assert.strictEqual(g.get_elevation_gain(), 55);
+    assert.strictEqual(g.get_elevation_loss(), 410);
+    var p = g._info._points;
+    assert.ok(Math.abs(p[1].meta.grd - 100 * 55 / g._dist2d(p[0], p[1])) < 1e-9);
+    assert.strictEqual(g.get_grad_max(), p[1].meta.grd);
+  });
+});
+
+test('replacing the recorded elevations', function() {
+  serve({ 'N45E006.hgt': hgt() });
+  var events = [];
+  var g = new L.GPX(TRACK, {});
+  g.on('elevation', function(e) { events.push(e.points); });
+  return g.update_elevations(new L.GPXElevationHGT('{name}.hgt'), 'replace').then(function(result) {
+    assert.strictEqual(result, g);
+    assert.deepStrictEqual(elevations(g), [1055, 1110, 1165]);
+    assert.strictEqual(g._info._points[2].meta.original.ele, 700);
+    assert.deepStrictEqual(events, [4]);
+    assert.strictEqual(g.get_elevation_gain(), 110);
+    assert.strictEqual(g.get_elevation_loss(), 0);
+    assert.ok(g.get_grad_max() > 0);
+  });
+});
+
+test('unknown samples and files', function() {
+  serve({ 'N45E006.hgt': hgt(true) });
+  var provider = new L.GPXElevationHGT('{name}.hgt');
+  // the unknown sample is left out of the interpolation, and there is no
+  // file for the sea
+  return provider.get_elevations([{ lat: 45.75, lng: 6.25 }, { lat: 45.25, lng: 6.75 }, { lat: 44.5, lng: 6.5 }])
+    .then(function(ele) {
+      assert.deepStrictEqual(ele, [(1010 + 1100 + 1110) / 3, 1165, null]);
+
+      var g = new L.GPX(h.gpx('<trk><trkseg>' + pt(44.5, 6.5, 100, 0) + pt(44.6, 6.5, null, 1) + '</trkseg></trk>'),
+        { elevation_options: { provider: provider, mode: 'replace' } });
+      return g.ready;
+    }).then(function(g) {
+      // the recorded elevations stay
+      assert.deepStrictEqual(elevations(g), [100, null]);
+      assert.strictEqual(g._info._points[0].meta.original, undefined);
+    });
+});
+
+test('names of the SRTM files', function() {
+  var urls = serve({});
+  return new L.GPXElevationHGT('{name}.hgt').get_elevations([{ lat: -1.5, lng: -0.5 }, { lat: 0.5, lng: 120.5 }])
+    .then(function() {
+      assert.deepStrictEqual(urls.map(function(u) { return u[0]; }), ['S02W001.hgt', 'N00E120.hgt']);
+    });
+});
+
+test('failed lookups', function() {
+  serve({ 'N45E006.hgt': 500 });
+  var g = new L.GPX(TRACK, { elevation_options: { provider: new L.GPXElevationHGT('{name}.hgt') } });
+  return g.ready.then(function() {
+    assert.fail('ready was resolved');
+  }, function(e) {
+    assert.strictEqual(e.message, 'Elevation lookup failed: HTTP 500 for N45E006.hgt');
+  });
+});
@@ -0,0 +1,113 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function summary(g) {
+  return {
+    metadata: g.get_metadata(),
+    distance: g.get_distance(),
+    time: g.get_total_time(),
+    hr: g.get_average_hr(),
+    points: g._info._points.map(function(p) { return [p.lat, p.lng, p.meta.ele, +p.meta.time, p.meta.hr, p.meta.cad]; }),
+    waypoints: g.get_waypoint_list().map(function(p) { return [p.lat, p.lng, p.meta.name, p.meta.sym]; })
+  };
+}
+
+test('toGPX() round trip', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), {});
+  var copy = new L.GPX(g.toGPX(), {});
+  assert.deepStrictEqual(summary(copy), summary(g));
+  assert.strictEqual(copy.get_tracks()[0].segments.length, 2);
+});
+
+test('a copyright without an author', function() {
+  var x = h.gpx('<metadata><copyright><year>2020</year><license>CC0</license></copyright></metadata>' +
+    '<trk><trkseg>' + h.trkpts(3) + '</trkseg></trk>');
+  var g = new L.GPX(x, {});
+  assert.deepStrictEqual(g.get_metadata().copyright, { author: null, year: '2020', license: 'CC0' });
+
+  var out = g.toGPX();
+  assert.ok(out.indexOf('<copyright><year>2020</year>') > -1);
+  assert.strictEqual(out.indexOf('null'), -1);
+  assert.deepStrictEqual(new L.GPX(out, {}).get_metadata().copyright, g.get_metadata().copyright);
+});
+
+test('power is exported in the Garmin power extension', function() {
+  var x = h.track(h.trkpts(3, { extensions: function(i) { return '<power>' + (200 + i) + '</power>'; } }));
+  var g = new L.GPX(x, {});
+  assert.deepStrictEqual(g._info._points.map(function(p) { return p.meta.power; }), [200, 201, 202]);
+
+  var out = g.toGPX();
+  assert.ok(out.indexOf('<PowerInWatts xmlns="http://www.garmin.com/xmlschemas/PowerExtension/v1">201</PowerInWatts>') > -1);
+  assert.strictEqual(out.indexOf('<power>'), -1);
+
+  var doc = new DOMParser().parseFromString(out, 'text/xml');
+  assert.strictEqual(doc.getElementsByTagNameNS('http://www.garmin.com/xmlschemas/PowerExtension/v1', 'PowerInWatts').length, 3);
+  assert.deepStrictEqual(new L.GPX(out, {})._info._points.map(function(p) { return p.meta.power; }), [200, 201, 202]);
+  assert.strictEqual(g.get_power_data()[1][1], 201);
+});
+
+test('fields without a namespace are not exported', function() {
+  L.GPX.register_field('salinity', { unit: 'psu' });
+  try {
+    var x = h.track(h.trkpts(2, { extensions: function() { return '<salinity>35</salinity>'; } }));
+    var g = new L.GPX(x, {});
+    assert.strictEqual(g.get_average_salinity(), 35);
+    assert.strictEqual(g.toGPX().indexOf('salinity'), -1);
+  } finally {
+    delete L.GPX.fields.salinity;
+  }
+});
+
+test('speed and course are exported in a v2 TrackPointExtension', function() {
+  var ns = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+  var x = h.track(h.trkpts(3, { extensions: function(i) {
+    return '<TrackPointExtension xmlns="' + ns + '"><speed>' + (2 + i) + '</speed><course>' + (90 + i) + '</course></TrackPointExtension>';
+  } }));
+  var g = new L.GPX(x, {});
+  assert.deepStrictEqual(g._info._points.map(function(p) { return [p.meta.speed, p.meta.course]; }), [[2, 90], [3, 91], [4, 92]]);
+
+  var out = g.toGPX();
+  var doc = new DOMParser().parseFromString(out, 'text/xml');
+  var speeds = doc.getElementsByTagNameNS(ns, 'speed');
+  assert.strictEqual(speeds.length, 3);
+  assert.strictEqual(speeds[0].parentNode.localName, 'TrackPointExtension');
+  assert.strictEqual(speeds[0].parentNode.namespaceURI, ns);
+  assert.strictEqual(speeds[0].parentNode.parentNode.localName, 'extensions');
+  assert.deepStrictEqual(new L.GPX(out, {})._info._points.map(function(p) { return [p.meta.speed, p.meta.course]; }), [[2, 90], [3, 91], [4, 92]]);
+});
+
+test('named points keep their name and markers through a round trip', function() {
+  var pts = h.trkpts(4).split('</trkpt>');
+  pts[1] += '<name>Coffee &amp; cake</name>';
+  pts[2] += '<name>Bridge</name>';
+  var x = h.gpx('<trk><trkseg>' + pts.join('</trkpt>') + '</trkseg></trk>' +
+    '<rte><rtept lat="45" lon="6"><name>Home</name></rtept><rtept lat="45.01" lon="6"></rtept></rte>');
+  var icon = new L.Icon.Default();
+  var options = function() { return { marker_options: { pointMatchers: [{ regex: /Coffee|Home/, icon: icon }] } }; };
+  var labels = function(g) {
+    var found = [];
+    (function walk(layer) {
+      if (layer instanceof L.Marker && layer.options.icon === icon) found.push(layer.options.title);
+      else if (layer.eachLayer) layer.eachLayer(walk);
+    })(g);
+    return found.sort();
+  };
+
+  var g = new L.GPX(x, options());
+  assert.deepStrictEqual(g._info._points.map(function(p) { return p.meta.name; }),
+    ['Home', undefined, undefined, 'Coffee & cake', 'Bridge', undefined]);
+  assert.deepStrictEqual(labels(g), ['Coffee & cake', 'Home']);
+
+  var out = g.toGPX();
+  var doc = new DOMParser().parseFromString(out, 'text/xml');
+  assert.strictEqual(doc.getElementsByTagName('trkpt')[1].getElementsByTagName('name')[0].textContent, 'Coffee & cake');
+  assert.strictEqual(doc.getElementsByTagName('rtept')[0].getElementsByTagName('name')[0].textContent, 'Home');
+  assert.strictEqual(doc.getElementsByTagName('trkpt')[0].getElementsByTagName('name').length, 0);
+
+  var copy = new L.GPX(out, options());
+  assert.deepStrictEqual(copy._info._points.map(function(p) { return p.meta.name; }),
+    g._info._points.map(function(p) { return p.meta.name; }));
+  assert.deepStrictEqual(labels(copy), ['Coffee & cake', 'Home']);
+});
@@ -0,0 +1,142 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function near(actual, expected, message, tolerance) {
+  assert.ok(Math.abs(actual - expected) < (tolerance || 1e-9), (message || '') + ': ' + actual + ' != ' + expected);
+}
+
+function elevations(g) {
+  return g._info._points.map(function(p) { return p.meta.ele; });
+}
+
+// Points one step (13.85 m) apart every 5 seconds, at 10 km/h
+function jump(index, steps) {
+  return function(i) { return i == index ? i + steps : i; };
+}
+
+test('a position spike is removed', function() {
+  var x = h.track(h.trkpts(10, { position: jump(5, 100) }));
+  var g = new L.GPX(x, { filter_options: { outliers: true } });
+  var outliers = g.get_tracks()[0].outliers;
+  assert.strictEqual(outliers.length, 1);
+  assert.strictEqual(outliers[0].meta.original.lat, 45.0105);
+  assert.strictEqual(g._info._points.length, 9);
+  assert.ok(g._info._points.every(function(p) { return p.lat < 45.001; }));
+
+  // the distance of the track without the spike
+  var clean = new L.GPX(h.track(h.trkpts(10)), {});
+  near(g.get_distance(), clean.get_distance(), 'distance', 0.01);
+  near(g.get_velocity_max(), clean.get_velocity_max(), 'speed', 0.1);
+
+  // or a spike at the first point
+  g = new L.GPX(h.track(h.trkpts(10, { position: jump(0, 100) })), { filter_options: { outliers: true } });
+  assert.strictEqual(g.get_tracks()[0].outliers.length, 1);
+  assert.strictEqual(g._info._points[0].lat, 45.0001);
+
+  // without filter, the spike stays
+  g = new L.GPX(x, {});
+  assert.strictEqual(g._info._points.length, 10);
+  assert.strictEqual(g._info._points[0].meta.original, undefined);
+});
+
+test('outliers by speed and acceleration limits', function() {
+  // at 50 km/h, 346 m in 5 s (249 km/h, accelerating by 11 m/s²) and
+  // 318 m back in 1 s
+  var x = h.track(h.trkpts(10, { interval: 1, gaps: { 5: 4 }, position: jump(5, 24) }));
+  var kept = function(outliers) {
+    return new L.GPX(x, { filter_options: { outliers: outliers } })._info._points.length;
+  };
+  assert.strictEqual(kept(true), 9);
+  assert.strictEqual(kept({ max_acceleration: 20 }), 10);
+  assert.strictEqual(kept({ max_acceleration: 20, max_speed: 200 }), 9);
+});
+
+test('elevation spikes take the previous elevation', function() {
+  var x = h.track(h.trkpts(7, { ele: function(i) { return i == 3 ? 300 : 100; } }));
+  var g = new L.GPX(x, { filter_options: { outliers: true } });
+  assert.deepStrictEqual(elevations(g), [100, 100, 100, 100, 100, 100, 100]);
+  assert.strictEqual(g._info._points[3].meta.original.ele, 300);
+  assert.strictEqual(g.get_tracks()[0].outliers.length, 0);
+  assert.strictEqual(g.get_elevation_gain(), 0);
+
+  // climbing at 20 m/s is fine with a higher limit
+  g = new L.GPX(x, { filter_options: { outliers: { max_climb: 50 } } });
+  assert.strictEqual(elevations(g)[3], 300);
+});
+
+test('median smoothing', function() {
+  var x = h.track(h.trkpts(7, { ele: function(i) { return i == 3 ? 150 : 100; } }));
+  var g = new L.GPX(x, { filter_options: { smooth: { algorithm: 'median', window: 3, position: false } } });
+  assert.deepStrictEqual(elevations(g), [100, 100, 100, 100, 100, 100, 100]);
+  assert.deepStrictEqual(g._info._points[3].meta.original, { lat: 45.0003, lng: 6.0003, ele: 150 });
+  assert.strictEqual(g._info._points[3].lat, 45.0003);
+
+  // with an even number of values at the ends, the middle two are averaged
+  assert.deepStrictEqual(g._smooth_values([1, 5, 2, 8], [], { algorithm: 'median', window: 3 }, 1), [3, 2, 5, 5]);
+});
+
+test('moving average smoothing', function() {
+  var ele = [0, 10, 20, 60, 40];
+  var g = new L.GPX(h.track(h.trkpts(5, { ele: function(i) { return ele[i]; } })),
+    { filter_options: { smooth: { window: 3, position: false } } });
+  assert.deepStrictEqual(elevations(g), [5, 10, 30, 40, 50]);
+  assert.deepStrictEqual(g._info._points.map(function(p) { return p.meta.original.ele; }), ele);
+
+  // the missing values are skipped
+  assert.deepStrictEqual(g._smooth_values([1, null, 3, 5], [], { window: 3 }, 1), [1, null, 4, 4]);
+
+  // positions too
+  var x = h.track(h.trkpts(5, { position: function(i) { return i == 2 ? 2.3 : i; } }));
+  g = new L.GPX(x, { filter_options: { smooth: { window: 3, elevation: false } } });
+  near(g._info._points[2].lat, 45.00021, 'lat');
+  near(g._info._points[2].lng, 6.00021, 'lng');
+  near(g._info._points[2].meta.original.lat, 45.00023, 'original lat');
+});
+
+test('Kalman smoothing', function() {
+  var lls = [0, 1, 3].map(function(s) { return { meta: { time: new Date(s * 1000) } }; });
+  var opts = { algorithm: 'kalman', accuracy: 10, noise: 3 };
+  // the variance starts at 10², grows by 3² a second and is shared with
+  // each new value of variance 10²
+  var v1 = 100 + 9, k1 = v1 / (v1 + 100), x1 = 10 * k1;
+  var v2 = v1 * (1 - k1) + 2 * 9, k2 = v2 / (v2 + 100), x2 = x1 + k2 * (10 - x1);
+  var out = L.GPX.prototype._smooth_values([0, 10, 10], lls, opts, 1);
+  assert.strictEqual(out[0], 0);
+  near(out[1], x1, 'second value');
+  near(out[2], x2, 'third value');
+
+  // the missing values are skipped and the time counts from the last value
+  out = L.GPX.prototype._smooth_values([0, null, 10], lls, opts, 1);
+  assert.strictEqual(out[1], null);
+  near(out[2], 10 * (100 + 27) / (200 + 27), 'after a gap');
+
+  // meters are converted to the unit of the values
+  out = L.GPX.prototype._smooth_values([0, 10 / 1000], lls, opts, 1 / 1000);
+  near(out[1], x1 / 1000, 'scaled');
+
+  var g = new L.GPX(h.track(h.trkpts(3, { interval: 1, ele: function(i) { return i ? 10 : 0; } })),
+    { filter_options: { smooth: { algorithm: 'kalman', position: false } } });
+  near(elevations(g)[1], x1, 'elevation');
+});
+
+test('elevation gain modes', function() {
+  // up and down by 3 m, under the 4 m threshold
+  var x = h.track(h.trkpts(11, { ele: function(i) { return i % 2 ? 103 : 100; } }));
+  var gain = function(mode) {
+    var g = new L.GPX(x, { filter_options: { gain: mode } });
+    return [g.get_elevation_gain(), g.get_elevation_loss()];
+  };
+  assert.deepStrictEqual(gain('threshold'), [0, 0]);
+  assert.deepStrictEqual(gain('raw'), [15, 15]);
+
+  // the moving average of 5 points goes 101, 101.5, 101.2, 101.8, ...,
+  // 101.2, 101.5, 101
+  var g = new L.GPX(x, { filter_options: { gain: 'smoothed' } });
+  near(g.get_elevation_gain(), 2.6, 'gain');
+  near(g.get_elevation_loss(), 2.6, 'loss');
+  assert.strictEqual(g._info._points[1].meta.original.ele, 103);
+  // only the elevation is smoothed
+  assert.ok(g._info._points.every(function(p) { return p.lat == p.meta.original.lat && p.lng == p.meta.original.lng; }));
+});
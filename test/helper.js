@@ -0,0 +1,62 @@
+// Loads Leaflet and the plugin in a jsdom window, and builds GPX documents
+// for the tests.
+// the same results in every time zone
+process.env.TZ = 'UTC';
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var dom = new JSDOM('<!doctype html><div id="map" style="width: 500px; height: 500px"></div>', { pretendToBeVisual: true });
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+global.DOMParser = dom.window.DOMParser;
+global.XMLSerializer = dom.window.XMLSerializer;
+global.Node = dom.window.Node;
+
+var L = global.L = require('leaflet');
+require('../gpx.js');
+
+var T0 = Date.parse('2020-01-01T10:00:00Z');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Track points going north-east, one every `interval` seconds. Extra time
+// can be added before some points with `gaps`: {index: seconds}, and the
+// number of steps travelled at each point given by `position(index)`.
+function trkpts(n, opts) {
+  opts = opts || {};
+  var s = '', t = T0 + (opts.start || 0) * 1000;
+  for (var i = 0; i < n; i++) {
+    if (opts.gaps && opts.gaps[i]) t += opts.gaps[i] * 1000;
+    var k = opts.position ? opts.position(i) : i;
+    var lat = (opts.lat || 45) + k * (opts.step || 0.0001);
+    var lon = (opts.lon || 6) + k * (opts.step || 0.0001);
+    var ele = opts.ele ? opts.ele(i) : 100 + 50 * Math.sin(i / 20);
+    s += '<trkpt lat="' + lat.toFixed(6) + '" lon="' + lon.toFixed(6) + '"><ele>' + ele.toFixed(1) + '</ele>' +
+      (opts.notime ? '' : '<time>' + new Date(t).toISOString() + '</time>') +
+      (opts.extensions ? '<extensions>' + opts.extensions(i) + '</extensions>' : '') + '</trkpt>';
+    t += (opts.interval || 5) * 1000;
+  }
+  return s;
+}
+
+function gpx(body) {
+  return '<?xml version="1.0"?><gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"' +
+    ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">' + body + '</gpx>';
+}
+
+function track(segments) {
+  return gpx('<trk><name>Track</name>' + [].concat(segments).map(function(seg) {
+    return '<trkseg>' + seg + '</trkseg>';
+  }).join('') + '</trk>');
+}
+
+function map() {
+  return L.map(document.getElementById('map'), { renderer: new L.SVG() }).setView([45, 6], 13);
+}
+
+module.exports = { L: L, dom: dom, fixture: fixture, trkpts: trkpts, gpx: gpx, track: track, map: map };
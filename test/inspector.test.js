@@ -0,0 +1,120 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function near(actual, expected, message, tolerance) {
+  assert.ok(Math.abs(actual - expected) < (tolerance || 1e-9), (message || '') + ': ' + actual + ' != ' + expected);
+}
+
+// 11 points one step (13.85 m) apart every 5 seconds, up to [45.001, 6.001]
+function setup(t, options) {
+  var map = h.map(), gpx = new L.GPX(h.track(h.trkpts(11)), options || {}).addTo(map);
+  var events = [];
+  gpx.on('pointhover pointclick pointout', function(e) { events.push(e); });
+  t.after(function() { map.remove(); });
+  return { map: map, gpx: gpx, events: events };
+}
+
+function mouse(map, type, lat, lng) {
+  var e = { type: type };
+  map.fire(type, { latlng: L.latLng(lat, lng), originalEvent: e });
+  return e;
+}
+
+test('pointhover and pointclick events at the closest position', function(t) {
+  var s = setup(t), p = s.gpx._info._points;
+  // on the line, 30 % of the way from the fourth point to the fifth
+  var e = mouse(s.map, 'mousemove', 45.00033, 6.00033);
+  assert.strictEqual(s.events.length, 1);
+  var hit = s.events[0];
+  assert.strictEqual(hit.type, 'pointhover');
+  assert.strictEqual(hit.originalEvent, e);
+  assert.strictEqual(hit.index, 3);
+  assert.strictEqual(hit.point, p[3]);
+  assert.strictEqual(hit.meta, p[3].meta);
+  near(hit.latlng.lat, 45.00033, 'lat', 1e-9);
+  near(hit.latlng.lng, 6.00033, 'lng', 1e-9);
+  near(hit.cumdist, p[3].meta.cumdist + 0.3 * (p[4].meta.cumdist - p[3].meta.cumdist), 'distance', 1e-3);
+  near(hit.cumtime, 16500, 'time', 1e-3);
+  // in whole milliseconds
+  near(hit.time.getTime(), p[3].meta.time.getTime() + 1500, 'date', 1.5);
+
+  // beside the line, the position on it between the two closest points,
+  // and the closer of them
+  mouse(s.map, 'click', 45.0003, 6.00047);
+  hit = s.events[1];
+  assert.strictEqual(hit.type, 'pointclick');
+  assert.strictEqual(hit.index, 4);
+  assert.strictEqual(hit.meta, p[4].meta);
+  var along = (hit.latlng.lng - 6.0003) / 0.0001;
+  assert.ok(along > 0.5 && along < 1, 'between the points: ' + along);
+  near((hit.latlng.lat - 45.0003) / 0.0001, along, 'on the line', 1e-6);
+  near(hit.cumdist, p[3].meta.cumdist + along * (p[4].meta.cumdist - p[3].meta.cumdist), 'distance', 1e-3);
+  near(hit.cumtime, 15000 + along * 5000, 'time', 1e-3);
+
+  // the ends of the track
+  mouse(s.map, 'mousemove', 44.9999, 5.9999);
+  assert.strictEqual(s.events[2].index, 0);
+  assert.ok(s.events[2].latlng.equals(p[0]));
+  assert.strictEqual(s.events[2].cumdist, 0);
+});
+
+test('pointout once the mouse leaves the lines', function(t) {
+  var s = setup(t);
+  var types = function() { return s.events.map(function(e) { return e.type; }); };
+  mouse(s.map, 'mousemove', 45.1, 6.1);
+  mouse(s.map, 'click', 45.1, 6.1);
+  assert.deepStrictEqual(types(), []);
+
+  mouse(s.map, 'mousemove', 45.0005, 6.0005);
+  mouse(s.map, 'mousemove', 45.0006, 6.0006);
+  mouse(s.map, 'mousemove', 45.1, 6.1);
+  mouse(s.map, 'mousemove', 45.1, 6.1);
+  assert.deepStrictEqual(types(), ['pointhover', 'pointhover', 'pointout']);
+
+  // or when the track is removed from the map
+  mouse(s.map, 'mousemove', 45.0005, 6.0005);
+  s.map.removeLayer(s.gpx);
+  mouse(s.map, 'mousemove', 45.0005, 6.0005);
+  assert.deepStrictEqual(types(), ['pointhover', 'pointhover', 'pointout', 'pointhover', 'pointout']);
+});
+
+test('the tolerance is in pixels at the zoom of the map', function(t) {
+  var s = setup(t);
+  // east of the last point, 5825 pixels a degree at zoom 13: 8.7 and
+  // 17.5 pixels
+  var hits = function(zoom, lng) {
+    s.map.setZoom(zoom, { animate: false });
+    var count = s.events.length;
+    mouse(s.map, 'click', 45.001, lng);
+    return s.events.length > count;
+  };
+  assert.strictEqual(hits(13, 6.0025), true);
+  assert.ok(s.events[0].latlng.equals(s.gpx.get_point(10)));
+  assert.strictEqual(s.events[0].index, 10);
+  assert.strictEqual(hits(14, 6.0025), false);
+  assert.strictEqual(hits(12, 6.0025), true);
+  assert.strictEqual(hits(13, 6.004), false);
+  assert.strictEqual(hits(12, 6.004), true);
+
+  // or as set
+  s.gpx.options.inspector_options.tolerance = 20;
+  assert.strictEqual(hits(13, 6.004), true);
+  assert.strictEqual(hits(14, 6.004), false);
+});
+
+test('marker and tooltip at the hovered position', function(t) {
+  var s = setup(t, { inspector_options: { marker: { radius: 4 }, tooltip: function(e) { return e.index + ': ' + e.meta.ele; } } });
+  mouse(s.map, 'mousemove', 45.00052, 6.00052);
+  var marker = s.gpx._hover_marker, tooltip = s.gpx._hover_tooltip;
+  assert.ok(s.map.hasLayer(marker));
+  assert.ok(marker.getLatLng().equals(s.events[0].latlng));
+  assert.strictEqual(marker.options.radius, 4);
+  assert.ok(s.map.hasLayer(tooltip));
+  assert.strictEqual(tooltip.getContent(), '5: ' + s.gpx.get_point(5).meta.ele);
+
+  mouse(s.map, 'mousemove', 45.1, 6.1);
+  assert.ok(!s.map.hasLayer(marker));
+  assert.ok(!s.map.hasLayer(tooltip));
+});
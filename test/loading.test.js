@@ -0,0 +1,220 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+L.GPX.register_format('broken', function() { throw new Error('bad file'); });
+
+function respond(status, text) {
+  window.fetch = function() {
+    return Promise.resolve(new Response(text, { status: status, statusText: status == 200 ? 'OK' : 'Not Found' }));
+  };
+}
+
+function rejection(gpx) {
+  var errors = [];
+  gpx.on('error', function(e) { errors.push(e.err); });
+  return gpx.ready.then(function() {
+    assert.fail('ready was resolved');
+  }, function(e) {
+    assert.deepStrictEqual(errors, [e.message]);
+    return e;
+  });
+}
+
+test('loading a file by URL', function() {
+  respond(200, h.fixture('track.gpx'));
+  return new L.GPX('track.gpx', {}).ready.then(function(gpx) {
+    assert.strictEqual(gpx.get_name(), 'Morning ride');
+  });
+});
+
+test('HTTP errors reject ready', function() {
+  respond(404, '');
+  return rejection(new L.GPX('missing.gpx', {})).then(function(e) {
+    assert.strictEqual(e.status, 404);
+    assert.strictEqual(e.url, 'missing.gpx');
+  });
+});
+
+test('parsing errors of a downloaded file reject ready', function() {
+  respond(200, '<broken/>');
+  return rejection(new L.GPX('broken.xml', {})).then(function(e) {
+    assert.strictEqual(e.message, 'Parsing failed: bad file');
+  });
+});
+
+test('parsing errors of a file object reject ready', function() {
+  return rejection(new L.GPX(new TextEncoder().encode('<broken/>'), {})).then(function(e) {
+    assert.strictEqual(e.message, 'Parsing failed: bad file');
+  });
+});
+
+test('unsupported files reject ready', function() {
+  return rejection(new L.GPX(new TextEncoder().encode('<html/>'), {})).then(function(e) {
+    assert.strictEqual(e.message, 'Unsupported file format with root element <html>');
+  });
+});
+
+test('a layer without a file is ready at once', function() {
+  var gpx = new L.GPX(null, {});
+  return gpx.ready.then(function(g) {
+    assert.strictEqual(g, gpx);
+  });
+});
+
+// Inputs parsed at once fail before the error listeners can be added.
+function rejected(gpx) {
+  return gpx.ready.then(function() {
+    assert.fail('ready was resolved');
+  }, function(e) {
+    return e;
+  });
+}
+
+test('parsing errors of a string reject ready', function() {
+  var x = h.track('<trkpt lat="x" lon="6"><ele>1</ele></trkpt><trkpt lat="45" lon="6"></trkpt>');
+  var gpx;
+  assert.doesNotThrow(function() { gpx = new L.GPX(x, {}); });
+  return rejected(gpx).then(function(e) {
+    assert.ok(/^Parsing failed: Invalid LatLng/.test(e.message), e.message);
+    return rejection(new L.GPX(x, { async: true }));
+  }).then(function(e) {
+    assert.ok(/^Parsing failed: Invalid LatLng/.test(e.message), e.message);
+  });
+});
+
+test('parsing errors of a document reject ready', function() {
+  var doc = new DOMParser().parseFromString('<broken/>', 'text/xml');
+  return rejected(new L.GPX(doc, {})).then(function(e) {
+    assert.strictEqual(e.message, 'Parsing failed: bad file');
+  });
+});
+
+test('downloads get the fetch_options and fire progress events', function() {
+  var text = h.fixture('track.gpx'), bytes = new TextEncoder().encode(text), init = null, progress = [];
+  window.fetch = function(url, options) {
+    init = options;
+    var stream = new ReadableStream({
+      start: function(controller) {
+        for (var i = 0; i < bytes.length; i += 1000) controller.enqueue(bytes.slice(i, i + 1000));
+        controller.close();
+      }
+    });
+    return Promise.resolve(new Response(stream, { headers: { 'Content-Length': String(bytes.length) } }));
+  };
+  var controller = new AbortController();
+  var gpx = new L.GPX('track.gpx', {
+    fetch_options: { credentials: 'include', headers: { Authorization: 'Bearer x' } },
+    signal: controller.signal
+  }).on('progress', function(e) { progress.push(e); });
+  return gpx.ready.then(function() {
+    assert.strictEqual(init.credentials, 'include');
+    assert.deepStrictEqual(init.headers, { Authorization: 'Bearer x' });
+    assert.strictEqual(init.signal, controller.signal);
+
+    assert.strictEqual(progress.length, Math.ceil(bytes.length / 1000));
+    progress.forEach(function(e, i) {
+      assert.strictEqual(e.stage, 'download');
+      assert.strictEqual(e.total, bytes.length);
+      assert.strictEqual(e.loaded, Math.min((i + 1) * 1000, bytes.length));
+    });
+    assert.strictEqual(gpx.get_name(), 'Morning ride');
+  });
+});
+
+test('aborting a download rejects ready', function() {
+  window.fetch = function(url, init) {
+    return new Promise(function(resolve, reject) {
+      init.signal.addEventListener('abort', function() {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      });
+    });
+  };
+  var controller = new AbortController();
+  var gpx = new L.GPX('track.gpx', { signal: controller.signal });
+  controller.abort();
+  return rejection(gpx).then(function(e) {
+    assert.strictEqual(e.message, 'Loading of track.gpx aborted');
+    assert.strictEqual(e.aborted, true);
+  });
+});
+
+test('aborting before parsing rejects ready', function() {
+  var controller = new AbortController();
+  var gpx = new L.GPX(h.fixture('track.gpx'), { async: true, signal: controller.signal });
+  controller.abort();
+  return rejection(gpx).then(function(e) {
+    assert.strictEqual(e.message, 'Parsing aborted');
+    assert.strictEqual(e.aborted, true);
+    assert.strictEqual(gpx.get_tracks().length, 0);
+  });
+});
+
+test('files, blobs and buffers', function() {
+  var text = h.fixture('track.gpx');
+  // the Blob of jsdom has no arrayBuffer(), it is read with a FileReader
+  return Promise.all([
+    new L.GPX(new window.Blob([text]), {}).ready,
+    new L.GPX(new window.File([text], 'track.gpx', { type: 'application/gpx+xml' }), {}).ready,
+    new L.GPX(new TextEncoder().encode(text).buffer, {}).ready
+  ]).then(function(layers) {
+    layers.forEach(function(gpx) {
+      assert.strictEqual(gpx.get_name(), 'Morning ride');
+      assert.strictEqual(gpx.get_tracks().length, 1);
+    });
+    return rejection(new L.GPX({ name: 'track.gpx' }, {}));
+  }).then(function(e) {
+    assert.strictEqual(e.message, 'Cannot read file: unsupported input type');
+  });
+});
+
+test('parsed documents', function() {
+  var doc = new DOMParser().parseFromString(h.fixture('track.gpx'), 'text/xml');
+  return new L.GPX(doc, {}).ready.then(function(gpx) {
+    assert.strictEqual(gpx.get_name(), 'Morning ride');
+    assert.strictEqual(gpx.get_waypoints(), 1);
+  });
+});
+
+test('gzip-compressed files', function() {
+  var bytes = new Uint8Array(require('zlib').gzipSync(h.fixture('track.gpx')));
+  window.DecompressionStream = DecompressionStream;
+  return new L.GPX(bytes, {}).ready.then(function(gpx) {
+    assert.strictEqual(gpx.get_name(), 'Morning ride');
+  }).finally(function() {
+    delete window.DecompressionStream;
+  }).then(function() {
+    return rejection(new L.GPX(bytes, {}));
+  }).then(function(e) {
+    assert.strictEqual(e.message, 'Cannot read file: gzip-compressed files are not supported by this browser');
+  });
+});
+
+test('byte order marks', function() {
+  var text = h.fixture('track.gpx');
+  var utf16 = new Uint8Array(2 + 2 * text.length);
+  utf16.set([0xff, 0xfe]);
+  for (var i = 0; i < text.length; i++) utf16[2 + 2 * i] = text.charCodeAt(i);
+  var layers = [
+    // strings parsed at once
+    new L.GPX('\uFEFF' + text, {}),
+    new L.GPX('\uFEFF\n  ' + text, { async: true }),
+    new L.GPX(new TextEncoder().encode('\uFEFF' + text), {}),
+    new L.GPX(utf16, {})
+  ];
+  return Promise.all(layers.map(function(g) { return g.ready; })).then(function() {
+    layers.forEach(function(gpx) {
+      assert.strictEqual(gpx.get_name(), 'Morning ride');
+    });
+  });
+});
+
+test('the module loads all the files of the plugin', function() {
+  assert.strictEqual(require('../gpx.js'), L);
+  assert.strictEqual(typeof L.GPX.prototype.toGPX, 'function');
+  assert.strictEqual(typeof L.GPX.prototype._parse_in_worker, 'function');
+  assert.strictEqual(typeof L.GPXElevationTiles, 'function');
+  assert.strictEqual(typeof L.Control.GPXProfile, 'function');
+  assert.strictEqual(typeof L.GPXPlayback, 'function');
+});
@@ -0,0 +1,53 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+test('estimated times start at 0 without a start time', function() {
+  var g = new L.GPX(h.track(h.trkpts(10, { notime: true })), { pace_options: { model: 'naismith' } });
+  var first = g.get_point(0);
+  assert.strictEqual(first.meta.time.getTime(), 0);
+  assert.strictEqual(first.meta.time_estimated, true);
+  assert.ok(g.is_time_estimated());
+  assert.ok(g.get_total_time() > 0);
+
+  // the first point has a time, even at the epoch
+  assert.strictEqual(g.get_point_at('cumdist', 0).time.getTime(), 0);
+  assert.ok(g._point_summary(g._index_nearest(first, Infinity)).indexOf('~ ') > -1);
+
+  // estimated times are not exported
+  assert.strictEqual(g.toGPX().indexOf('<time>'), -1);
+});
+
+test('estimated times from a start time', function() {
+  var g = new L.GPX(h.track(h.trkpts(10, { notime: true })), {
+    pace_options: { model: 'cycling', start: '2024-06-01T08:00:00Z' }
+  });
+  var points = g._info._points;
+  assert.strictEqual(points[0].meta.time.toISOString(), '2024-06-01T08:00:00.000Z');
+  assert.strictEqual(points[9].meta.time - points[0].meta.time, g.get_total_time());
+});
+
+test('recorded times are kept', function() {
+  var g = new L.GPX(h.track(h.trkpts(10)), { pace_options: { model: 'naismith' } });
+  assert.ok(!g.is_time_estimated());
+  assert.strictEqual(g.get_total_time(), 45000);
+});
+
+test('waypoints on lines without times get the time of a pace model', function() {
+  var x = h.gpx('<wpt lat="45.000550" lon="6.000500"><name>Bench</name></wpt>' +
+    '<trk><trkseg>' + h.trkpts(10, { notime: true }) + '</trkseg></trk>');
+  var g = new L.GPX(x, {});
+  var w = g.get_waypoints_on_track();
+  assert.strictEqual(w.length, 1);
+  assert.strictEqual(w[0].time, null);
+  assert.strictEqual(w[0].time_estimated, false);
+
+  // the same time as the one estimated when loading
+  var timed = new L.GPX(x, { pace_options: { model: 'naismith' } }).get_waypoints_on_track()[0];
+  w = g.get_waypoints_on_track(null, 'naismith')[0];
+  assert.strictEqual(w.time_estimated, true);
+  assert.strictEqual(timed.time_estimated, true);
+  assert.ok(w.time.getTime() > 0);
+  assert.ok(Math.abs(w.time - timed.time) < 5);
+});
@@ -0,0 +1,55 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+test('GPX metadata, waypoints, tracks and routes', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), {});
+  assert.strictEqual(g.get_desc(), 'Around the lake');
+  assert.strictEqual(g.get_author(), 'Jane');
+  assert.strictEqual(g.get_copyright(), 'Jane');
+  assert.strictEqual(+g.get_metadata().time, Date.parse('2020-01-01T09:00:00Z'));
+
+  var wpt = g.get_waypoint_list();
+  assert.strictEqual(wpt.length, 1);
+  assert.deepStrictEqual([wpt[0].lat, wpt[0].lng, wpt[0].meta.name, wpt[0].meta.sym, wpt[0].meta.type],
+    [45.001, 6.001, 'Fountain', 'Drinking Water', 'water']);
+
+  assert.deepStrictEqual(g.get_tracks().map(function(t) { return t.name; }), ['Ride']);
+  assert.deepStrictEqual(g.get_routes().map(function(t) { return t.name; }), ['Way back']);
+  var p = g.get_tracks()[0]._points[1];
+  assert.deepStrictEqual([p.lat, p.lng, p.meta.ele, p.meta.hr, p.meta.cad], [45.0001, 6.0001, 102.5, 121, 81]);
+});
+
+test('TCX laps and sensor data', function() {
+  var g = new L.GPX(h.fixture('activity.tcx'), {});
+  var track = g.get_tracks()[0];
+  assert.strictEqual(g.get_desc(), 'Easy run');
+  assert.strictEqual(track.type, 'Running');
+
+  // the trackpoint without a position is left out
+  assert.strictEqual(track._points.length, 5);
+  assert.deepStrictEqual(track._points.map(function(p) { return p.meta.hr; }), [140, 141, 142, null, null]);
+  assert.deepStrictEqual(track._points.map(function(p) { return p.meta.power; }), [null, null, null, 250, 260]);
+
+  assert.strictEqual(track.segments.length, 2);
+  assert.strictEqual(track.segments[0].lap.time, 10000);
+  assert.strictEqual(track.segments[0].lap.avg_hr, 141);
+  assert.strictEqual(track.segments[1].lap.distance, 14);
+});
+
+test('KML lines, tracks and points', function() {
+  var g = new L.GPX(h.fixture('places.kml'), {});
+  var tracks = g.get_tracks();
+  assert.deepStrictEqual(tracks.map(function(t) { return t.name; }), ['Path', 'Recorded']);
+  assert.strictEqual(tracks[0].style.color, '#ff0000');
+  assert.deepStrictEqual(tracks[0]._points.map(function(p) { return p.meta.ele; }), [100, 101, 102]);
+  assert.deepStrictEqual(tracks[1]._points.map(function(p) { return p.meta.hr; }), [130, 131]);
+  assert.strictEqual(+tracks[1]._points[1].meta.time, Date.parse('2020-01-01T10:00:05Z'));
+
+  // the points without coordinates are skipped
+  var wpt = g.get_waypoint_list();
+  assert.strictEqual(wpt.length, 1);
+  assert.deepStrictEqual([wpt[0].lat, wpt[0].lng, wpt[0].meta.name, wpt[0].meta.desc, wpt[0].meta.ele],
+    [45.0005, 6.0005, 'Summit', 'The top', 150]);
+});
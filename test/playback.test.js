@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+test('playbackupdate events', function() {
+  var a = new L.GPX(h.track(h.trkpts(20)), {});
+  var b = new L.GPX(h.track(h.trkpts(40, { interval: 1, lat: 46 })), {});
+  var playback = new L.GPXPlayback([a, b]), events = { playback: [], a: [], b: [] };
+  playback.on('playbackupdate', function(e) { events.playback.push(e); });
+  a.on('playbackupdate', function(e) { events.a.push(e); });
+  b.on('playbackupdate', function(e) { events.b.push(e); });
+  playback.seek(12000);
+
+  var e = events.playback[0];
+  assert.strictEqual(events.playback.length, 1);
+  assert.strictEqual(e.position, 12000);
+  assert.strictEqual(e.playing, false);
+  assert.strictEqual(e.index, 2);
+  assert.strictEqual(e.meta, a.get_point(2).meta);
+  assert.strictEqual(e.cumtime, 12000);
+  assert.ok(e.latlng instanceof L.LatLng);
+  assert.strictEqual(e.positions.length, 2);
+  assert.strictEqual(e.positions[1].index, 12);
+
+  // each layer gets its own position
+  assert.strictEqual(events.a.length, 1);
+  assert.strictEqual(events.a[0].index, 2);
+  assert.strictEqual(events.a[0].playback, playback);
+  assert.strictEqual(events.b.length, 1);
+  assert.strictEqual(events.b[0].index, 12);
+  assert.strictEqual(events.b[0].meta, b.get_point(12).meta);
+  assert.strictEqual(events.b[0].position, 12000);
+});
+
+test('playback events reach a single layer', function() {
+  var gpx = new L.GPX(h.track(h.trkpts(20)), {}), types = [];
+  var playback = new L.GPXPlayback(gpx);
+  gpx.on('playbackplay playbackpause playbackupdate', function(e) {
+    types.push(e.type);
+    assert.strictEqual(e.sourceTarget, playback);
+  });
+  playback.seek(5000);
+  playback.play();
+  playback.pause();
+  assert.deepStrictEqual(types, ['playbackupdate', 'playbackplay', 'playbackpause']);
+});
+
+test('a playback can be removed and added back', function() {
+  var map = h.map(), gpx = new L.GPX(h.track(h.trkpts(20)), {}).addTo(map);
+  var p = new L.GPXPlayback(gpx, { travelled: true }).addTo(map);
+  p.seek(10000);
+  var drawn = p._tracks[0].travelled.getLatLngs();
+  map.removeLayer(p);
+  assert.strictEqual(p._tracks[0].travelled, null);
+
+  map.addLayer(p);
+  var track = p._tracks[0];
+  assert.ok(map.hasLayer(track.marker));
+  assert.ok(map.hasLayer(track.travelled));
+  assert.deepStrictEqual(track.travelled.getLatLngs(), drawn);
+  map.remove();
+});
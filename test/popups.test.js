@@ -0,0 +1,116 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+// The markers of the file by type: waypoint, start and end
+function markers(g) {
+  var found = {};
+  (function walk(layer) {
+    if (layer instanceof L.Marker) {
+      var type = layer.options.type || (layer.getLatLng().equals(g.get_point(0)) ? 'start' : 'end');
+      (found[type] = found[type] || []).push(layer);
+    } else if (layer.eachLayer) layer.eachLayer(walk);
+  })(g);
+  return found;
+}
+
+function popup(marker) {
+  return marker.getPopup().getContent();
+}
+
+var WPT = '<wpt lat="45" lon="6"><ele>1200</ele><name>Hut &lt;script&gt;alert(1)&lt;/script&gt;</name>' +
+  '<desc>&lt;img src=x onerror="alert(2)"&gt;</desc>' +
+  '<link href="javascript:alert(3)"><text>bad</text></link>' +
+  '<link href="https://example.com/hut?a=1&amp;b=2"><text>Hut &amp; co</text></link></wpt>';
+
+test('the text of the file is escaped in the default popup', function() {
+  var g = new L.GPX(h.gpx(WPT), {});
+  var html = popup(markers(g).waypoint[0]);
+  assert.strictEqual(html,
+    '<b>Hut &lt;script&gt;alert(1)&lt;/script&gt;</b><br/>&lt;img src=x onerror=&quot;alert(2)&quot;&gt;' +
+    '<br/><a target="_blank" href="https://example.com/hut?a=1&amp;b=2">Hut &amp; co</a>');
+  assert.strictEqual(html.indexOf('javascript:'), -1);
+});
+
+test('unsafe links are dropped', function() {
+  var g = new L.GPX(h.gpx(WPT), { marker_options: { popups: { waypoint: '{link}|{links}' } } });
+  // the first link was a script, the single {link} is left empty
+  assert.strictEqual(popup(markers(g).waypoint[0]),
+    '|<a target="_blank" href="https://example.com/hut?a=1&amp;b=2">Hut &amp; co</a>');
+
+  ['javascript:x', ' JavaScript:x', 'data:text/html,x', 'vbscript:x'].forEach(function(url) {
+    assert.strictEqual(g._safe_url(url), false, url);
+  });
+  ['http://a', 'HTTPS://a', 'mailto:a@b', 'ftp://a', 'hut.html', '/a/b?c=d'].forEach(function(url) {
+    assert.strictEqual(g._safe_url(url), true, url);
+  });
+});
+
+test('trusted files keep their HTML and links', function() {
+  var g = new L.GPX(h.gpx(WPT), { marker_options: { trustedHtml: true, popups: { waypoint: '{name}|{desc}|{links}' } } });
+  assert.strictEqual(popup(markers(g).waypoint[0]),
+    'Hut <script>alert(1)</script>|<img src=x onerror="alert(2)">|' +
+    '<a target="_blank" href="javascript:alert(3)">bad</a><br/><a target="_blank" href="https://example.com/hut?a=1&b=2">Hut & co</a>');
+});
+
+test('string templates', function() {
+  var g = new L.GPX(h.gpx(WPT + '<wpt lat="45.1" lon="6.1"><name>Lake</name></wpt>'), { marker_options: {
+    popups: { waypoint: '<b>{ name }</b> ({ele} m){cmt}<br/>{links}' },
+    tooltips: { waypoint: '{name} at {lat},{lng}' }
+  } });
+  var wpts = markers(g).waypoint;
+  assert.strictEqual(popup(wpts[0]),
+    '<b>Hut &lt;script&gt;alert(1)&lt;/script&gt;</b> (1200 m)<br/><a target="_blank" href="https://example.com/hut?a=1&amp;b=2">Hut &amp; co</a>');
+  // the missing fields are left empty
+  assert.strictEqual(popup(wpts[1]), '<b>Lake</b> ( m)<br/>');
+  assert.strictEqual(wpts[1].getTooltip().getContent(), 'Lake at 45.1,6.1');
+  assert.strictEqual(wpts[0].getTooltip().getContent(), 'Hut &lt;script&gt;alert(1)&lt;/script&gt; at 45,6');
+});
+
+test('function templates', function() {
+  var calls = [], el = document.createElement('div');
+  var g = new L.GPX(h.gpx(WPT), { marker_options: { popups: { waypoint: function(p, marker) {
+    calls.push([this, p, marker]);
+    el.textContent = p.name;
+    return el;
+  } } } });
+  var marker = markers(g).waypoint[0];
+  assert.strictEqual(popup(marker), el);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0][0], g);
+  assert.strictEqual(calls[0][2], marker);
+  // the fields are escaped, with the position of the marker
+  var p = calls[0][1];
+  assert.strictEqual(p.name, 'Hut &lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.strictEqual(p.ele, 1200);
+  assert.deepStrictEqual([p.lat, p.lng], [45, 6]);
+  assert.deepStrictEqual(p.links.map(function(l) { return l.href; }), ['https://example.com/hut?a=1&amp;b=2']);
+  assert.strictEqual(el.textContent, 'Hut &lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('start and end templates', function() {
+  // the name of the first and last points
+  var pts = h.trkpts(3).split('</trkpt>');
+  pts[0] += '<name>Loop &amp; &lt;b&gt;back&lt;/b&gt;</name>';
+  pts[2] += '<name>Loop &amp; &lt;b&gt;back&lt;/b&gt;</name>';
+  var x = h.track(pts.join('</trkpt>'));
+  var g = new L.GPX(x, { marker_options: {
+    popups: {
+      start: function(p) { return 'Start of ' + p.name + ' at ' + p.time.toISOString(); },
+      end: '{name}: {ele} m',
+      waypoint: null
+    },
+    tooltips: { start: '{name}' }
+  } });
+  var found = markers(g);
+  assert.strictEqual(popup(found.start[0]), 'Start of Loop &amp; &lt;b&gt;back&lt;/b&gt; at 2020-01-01T10:00:00.000Z');
+  assert.strictEqual(found.start[0].getTooltip().getContent(), 'Loop &amp; &lt;b&gt;back&lt;/b&gt;');
+  assert.strictEqual(popup(found.end[0]), 'Loop &amp; &lt;b&gt;back&lt;/b&gt;: ' + g.get_point(2).meta.ele + ' m');
+  assert.strictEqual(found.end[0].getTooltip(), undefined);
+
+  // without templates, the start and end markers have no popup
+  found = markers(new L.GPX(x, {}));
+  assert.strictEqual(found.start[0].getPopup(), undefined);
+  assert.strictEqual(found.end[0].getPopup(), undefined);
+});
@@ -0,0 +1,120 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+// The chart is 400 pixels wide, the lines from 45 to 390
+var LEFT = 45, WIDTH = 345;
+
+// Leaflet listens to mouseout for mouseleave, leaving to another element
+function mouse(control, type, x) {
+  control._svg.dispatchEvent(new window.MouseEvent(type == 'mouseleave' ? 'mouseout' : type,
+    { clientX: x, clientY: 50, bubbles: true, relatedTarget: document.body }));
+}
+
+function setup(t, options) {
+  var map = h.map(), gpx = new L.GPX(h.track(h.trkpts(101)), {}).addTo(map);
+  // jsdom has no layout, and fitting bounds in an empty map never ends
+  map.getSize = function() { return L.point(500, 500); };
+  var control = new L.Control.GPXProfile(gpx, options).addTo(map);
+  t.after(function() { map.remove(); });
+  return { map: map, gpx: gpx, control: control, length: gpx.get_distance() };
+}
+
+test('the cursor on the chart follows the track', function(t) {
+  var s = setup(t), cursor = s.control._cursor;
+  assert.strictEqual(cursor.getAttribute('display'), 'none');
+
+  // halfway along the chart, halfway along the track
+  mouse(s.control, 'mousemove', LEFT + WIDTH / 2);
+  var hit = s.gpx.get_point_at('cumdist', s.length / 2);
+  assert.strictEqual(cursor.getAttribute('display'), '');
+  assert.strictEqual(cursor.getAttribute('transform'), 'translate(217.5,0)');
+  assert.strictEqual(s.control._cursor_label.textContent,
+    Math.round(hit.meta.ele * 10) / 10 + ' m, ' + (s.length / 2000).toFixed(1) + ' km');
+  // and the marker on the track
+  var marker = s.control._marker;
+  assert.ok(s.map.hasLayer(marker));
+  assert.ok(marker.getLatLng().equals(hit.latlng, 1e-12));
+  assert.ok(hit.index == 49 || hit.index == 50);
+
+  // beyond the ends of the chart, at the ends of the track
+  mouse(s.control, 'mousemove', 0);
+  assert.ok(marker.getLatLng().equals(s.gpx.get_point(0)));
+  mouse(s.control, 'mousemove', 400);
+  assert.ok(marker.getLatLng().equals(s.gpx.get_point(100)));
+
+  mouse(s.control, 'mouseleave', 400);
+  assert.strictEqual(cursor.getAttribute('display'), 'none');
+  assert.ok(!s.map.hasLayer(marker));
+});
+
+test('hovering the track moves the cursor on the chart', function(t) {
+  var s = setup(t), cursor = s.control._cursor, point = s.gpx.get_point(30);
+  s.map.fire('mousemove', { latlng: point, originalEvent: null });
+  assert.strictEqual(cursor.getAttribute('display'), '');
+  assert.strictEqual(cursor.getAttribute('transform'),
+    'translate(' + (LEFT + point.meta.cumdist / s.length * WIDTH).toFixed(1) + ',0)');
+
+  // away from the track
+  s.map.fire('mousemove', { latlng: L.latLng(45.1, 6.1), originalEvent: null });
+  assert.strictEqual(cursor.getAttribute('display'), 'none');
+
+  // not once removed
+  s.map.removeControl(s.control);
+  s.map.fire('mousemove', { latlng: point, originalEvent: null });
+  assert.strictEqual(cursor.getAttribute('display'), 'none');
+});
+
+test('dragging over the chart selects a range', function(t) {
+  var s = setup(t), events = [], selection = s.control._selection;
+  s.gpx.on('rangeselect rangeclear', function(e) { events.push(e); });
+  var index = function(px) { return s.gpx.get_point_at('cumdist', (px - LEFT) / WIDTH * s.length).index; };
+
+  mouse(s.control, 'mousedown', 250);
+  mouse(s.control, 'mousemove', 100);
+  assert.strictEqual(selection.getAttribute('display'), '');
+  assert.strictEqual(selection.getAttribute('x'), '100');
+  assert.strictEqual(selection.getAttribute('width'), '150');
+  mouse(s.control, 'mouseup', 100);
+  assert.strictEqual(selection.getAttribute('display'), 'none');
+
+  // from the point before the start to the one after the end
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].type, 'rangeselect');
+  assert.deepStrictEqual([events[0].from, events[0].to], [index(100), index(250) + 1]);
+  assert.ok(s.map.hasLayer(events[0].layer));
+  assert.ok(L.latLngBounds(s.gpx._info._points.slice(events[0].from, events[0].to + 1)).contains(s.map.getCenter()));
+
+  // the selection is clamped to the chart
+  mouse(s.control, 'mousedown', 200);
+  mouse(s.control, 'mousemove', 399);
+  assert.strictEqual(selection.getAttribute('width'), '190');
+
+  // a click clears the range
+  mouse(s.control, 'mouseup', 201);
+  assert.deepStrictEqual(events.map(function(e) { return e.type; }), ['rangeselect', 'rangeclear']);
+  assert.strictEqual(s.gpx._range_layer, null);
+
+  // leaving the chart cancels the drag
+  mouse(s.control, 'mousedown', 100);
+  mouse(s.control, 'mouseleave', 0);
+  mouse(s.control, 'mouseup', 300);
+  assert.strictEqual(events.length, 2);
+});
+
+test('the cursor against the time', function(t) {
+  var s = setup(t, { x: 'time', field: 'hr' });
+  // without heart rate there is nothing to draw
+  assert.strictEqual(s.control._container.style.display, 'none');
+  mouse(s.control, 'mousemove', 100);
+  assert.strictEqual(s.control._cursor.getAttribute('display'), 'none');
+
+  s.control.options.field = 'ele';
+  s.control.refresh();
+  mouse(s.control, 'mousemove', LEFT + WIDTH / 5);
+  var hit = s.gpx.get_point_at('cumtime', 100000);
+  assert.ok(s.control._marker.getLatLng().equals(hit.latlng, 1e-12));
+  assert.strictEqual(s.control._cursor_label.textContent,
+    Math.round(hit.meta.ele * 10) / 10 + ' m, ' + s.gpx.get_duration_string_iso(100000, true));
+});
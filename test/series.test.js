@@ -0,0 +1,97 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function count(series) {
+  return series.parts.reduce(function(n, part) { return n + part.length; }, 0);
+}
+
+test('LTTB keeps the ends and the peaks', function() {
+  var data = [];
+  for (var i = 0; i < 100; i++) data.push([i, i == 37 ? 50 : i == 71 ? -40 : Math.sin(i / 10)]);
+  var proto = L.GPX.prototype, out = proto._lttb(data, 10);
+  assert.strictEqual(out.length, 10);
+  assert.strictEqual(out[0], data[0]);
+  assert.strictEqual(out[9], data[99]);
+  assert.ok(out.indexOf(data[37]) > -1);
+  assert.ok(out.indexOf(data[71]) > -1);
+  for (i = 1; i < out.length; i++) assert.ok(out[i][0] > out[i-1][0]);
+
+  assert.strictEqual(proto._lttb(data, 200), data);
+  assert.deepStrictEqual(proto._lttb(data, 2), [data[0], data[99]]);
+  assert.deepStrictEqual(proto._lttb(data, 1), [data[0]]);
+  assert.deepStrictEqual(proto._lttb(data, 0), []);
+});
+
+test('resampling ends with the last pair', function() {
+  var proto = L.GPX.prototype;
+  var out = proto._resample([[0, 0], [10, 10], [25, 40]], 10);
+  assert.deepStrictEqual(out, [[0, 0], [10, 10], [20, 30], [25, 40]]);
+
+  // without accumulating rounding errors
+  out = proto._resample([[0, 0], [1, 1]], 0.1);
+  assert.strictEqual(out.length, 11);
+  out.forEach(function(p, k) { assert.strictEqual(p[0], k == 10 ? 1 : k * 0.1); });
+  assert.deepStrictEqual(out[10], [1, 1]);
+  assert.deepStrictEqual(proto._resample([[5, 1]], 10), [[5, 1]]);
+});
+
+test('series split where the values are missing', function() {
+  var x = h.track(h.trkpts(30, { extensions: function(i) {
+    return i % 10 == 9 ? '' : '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (100 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>';
+  } }));
+  var g = new L.GPX(x, {});
+  var series = g.get_series({ y: 'hr', units: 'raw' });
+  assert.strictEqual(series.x_unit, 'm');
+  assert.strictEqual(series.y_unit, 'bpm');
+  assert.deepStrictEqual(series.parts.map(function(part) { return part.length; }), [9, 9, 9]);
+  assert.deepStrictEqual(series.parts[1][0], [g.get_point(10).meta.cumdist, 110]);
+
+  series = g.get_series({ x: 'time', y: 'ele', units: 'imperial' });
+  assert.strictEqual(series.x_unit, 'h');
+  assert.strictEqual(series.y_unit, 'ft');
+  assert.strictEqual(series.parts.length, 1);
+  assert.ok(Math.abs(series.parts[0][29][1] - g.to_ft(g.get_point(29).meta.ele)) < 1e-9);
+});
+
+test('series are reduced to max_points pairs in all', function() {
+  var x = h.track(h.trkpts(60, { extensions: function(i) {
+    return i % 6 == 5 ? '' : '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (100 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>';
+  } }));
+  var g = new L.GPX(x, {});
+  assert.strictEqual(g.get_series({ y: 'hr' }).parts.length, 10);
+  [7, 13, 25].forEach(function(n) {
+    assert.strictEqual(count(g.get_series({ y: 'hr', max_points: n })), n);
+  });
+  var series = g.get_series({ y: 'hr', max_points: 25 });
+  series.parts.forEach(function(part) { assert.ok(part.length >= 2); });
+  assert.strictEqual(count(g.get_series({ y: 'hr', max_points: 1000 })), 50);
+  assert.strictEqual(count(g.get_series({ y: 'hr', resample: 2, max_points: 30 })), 30);
+});
+
+test('the deprecated data methods match the series', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), {});
+  var data = g.get_heartrate_data(), series = g.get_series({ y: 'hr' }).parts[0];
+  // one entry per point, the first two without heart rate
+  assert.strictEqual(data.length, g._info._points.length);
+  assert.deepStrictEqual(data.slice(0, 2).map(function(d) { return d[1]; }), [null, null]);
+  assert.deepStrictEqual(data[3].slice(0, 2), series[1]);
+  assert.strictEqual(data[3][2], data[3][0].toFixed(2) + ' km, 121 bpm');
+
+  data = g.get_elevation_data_imp('time');
+  assert.strictEqual(data[3][2], data[3][0].toFixed(2) + ' h, ' + g.to_ft(102.5).toFixed(0) + ' ft');
+  assert.deepStrictEqual(g.get_hr_data(), g.get_heartrate_data());
+  assert.deepStrictEqual(g.get_cadence_data_imp()[2].slice(0, 2), g.get_series({ y: 'cad', units: 'imperial' }).parts[0][0]);
+});
+
+test('the deprecated data methods keep the points without a value', function() {
+  var g = new L.GPX(h.track(h.trkpts(5, { extensions: function(i) {
+    return i % 2 ? '' : '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (120 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>';
+  } })), {});
+  var data = g.get_heartrate_data();
+  assert.deepStrictEqual(data.map(function(d) { return d[1]; }), [120, null, 122, null, 124]);
+  assert.strictEqual(data[1][0], g.get_point(1).meta.cumdist / 1000);
+  assert.strictEqual(data[1][2], data[1][0].toFixed(2) + ' km');
+  assert.strictEqual(data[2][2], data[2][0].toFixed(2) + ' km, 122 bpm');
+});
@@ -0,0 +1,27 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function vertices(line) {
+  return line._rings.reduce(function(n, ring) { return n + ring.length; }, 0);
+}
+
+test('simplified lines follow the changes of their points', function() {
+  var map = h.map();
+  var latlngs = [];
+  for (var i = 0; i <= 100; i++) latlngs.push(L.latLng(45, 6 + i * 0.0001));
+  var line = new L.GPXSimplifiedPolyline(latlngs, {}).addTo(map);
+  assert.strictEqual(vertices(line), 2);
+
+  line.addLatLng([45.01, 6.01]);
+  assert.strictEqual(vertices(line), 3);
+
+  line.setLatLngs([[45, 6], [45, 6.01], [45.01, 6.01]]);
+  assert.strictEqual(vertices(line), 3);
+
+  line.getLatLngs().push(L.latLng(45, 6.02));
+  line.redraw();
+  assert.strictEqual(vertices(line), 4);
+  map.remove();
+});
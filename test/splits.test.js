@@ -0,0 +1,43 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function near(a, b, message) {
+  assert.ok(Math.abs(a - b) < 0.01, message + ': ' + a + ' != ' + b);
+}
+
+test('splits end where the distance is reached', function() {
+  var g = new L.GPX(h.track(h.trkpts(60)), {});
+  var splits = g.get_splits(100);
+  assert.strictEqual(splits.length, Math.ceil(g.get_distance() / 100));
+  splits.forEach(function(split, i) {
+    assert.strictEqual(split.split, i + 1);
+    assert.strictEqual(split.partial, i == splits.length - 1);
+    if (!split.partial) near(split.length, 100, 'length of split ' + split.split);
+  });
+  near(splits.reduce(function(d, s) { return d + s.length; }, 0), g.get_distance(), 'total length');
+  near(splits.reduce(function(t, s) { return t + s.duration.total; }, 0), g.get_total_time(), 'total time');
+  near(g.get_point_at('cumdist', 100).latlng.distanceTo(splits[0].end), 0, 'end of the first split');
+});
+
+test('steps longer than a split', function() {
+  var g = new L.GPX(h.gpx('<rte><rtept lat="45" lon="6"></rtept><rtept lat="45.0225" lon="6"></rtept></rte>'), {});
+  var splits = g.get_splits('km');
+  assert.deepStrictEqual(splits.map(function(s) { return s.split; }), [1, 2, 3]);
+  assert.deepStrictEqual(splits.map(function(s) { return s.partial; }), [false, false, true]);
+  near(splits[0].length, 1000, 'first split');
+  near(splits[1].length, 1000, 'second split');
+  near(splits[2].length, g.get_distance() - 2000, 'last split');
+});
+
+test('split markers', function() {
+  var titles = [];
+  (function find(group) {
+    group.eachLayer(function(layer) {
+      if (layer.eachLayer) find(layer);
+      else if (layer.options.icon && layer.options.icon.options.className == 'gpx-split-marker') titles.push(layer.options.title);
+    });
+  })(new L.GPX(h.track(h.trkpts(200)), { marker_options: { splits: true } }));
+  assert.deepStrictEqual(titles, ['1 km', '2 km']);
+});
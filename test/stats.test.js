@@ -0,0 +1,87 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+test('file, track and segment statistics', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), { gpx_options: { joinTrackSegments: false } });
+  var track = g.get_tracks()[0];
+
+  assert.strictEqual(g.get_name(), 'Morning ride');
+  assert.strictEqual(g.get_tracks().length, 1);
+  assert.strictEqual(g.get_routes().length, 1);
+  assert.strictEqual(track.segments.length, 2);
+  assert.strictEqual(track._points.length, 60);
+  assert.strictEqual(g._info._points.length, 62);
+
+  // the gap between the two segments is counted neither in the time nor in
+  // the distance
+  assert.strictEqual(g.get_total_time(), (39 + 19) * 5000);
+  assert.strictEqual(g.get_moving_time(), g.get_total_time());
+  assert.ok(Math.abs(track.length - track.segments[0].length - track.segments[1].length) < 1e-6);
+  assert.ok(Math.abs(g.get_distance() - track.length - g.get_routes()[0].length) < 1e-6);
+
+  assert.strictEqual(g.get_average_hr(), 131);
+  assert.strictEqual(track.hr.min, 120);
+  assert.strictEqual(track.hr.max, 149);
+});
+
+test('statistics objects have no temporary state', function() {
+  var g = new L.GPX(h.fixture('track.gpx'), {});
+  [g._info, g.get_tracks()[0]].concat(g.get_tracks()[0].segments).forEach(function(stats) {
+    assert.ok(!('_last_ele' in stats));
+  });
+});
+
+test('merging the statistics of many segments keeps all the points', function() {
+  var segments = [];
+  for (var i = 0; i < 20; i++) segments.push(h.trkpts(100, { start: i * 1000, lat: 45 + i * 0.02 }));
+  var g = new L.GPX(h.track(segments), { gpx_options: { joinTrackSegments: false } });
+  assert.strictEqual(g.get_tracks()[0].segments.length, 20);
+  assert.strictEqual(g._info._points.length, 20 * 100);
+  assert.strictEqual(g.get_tracks()[0]._points[100], g.get_tracks()[0].segments[1]._points[0]);
+});
+
+test('average speed of a range', function() {
+  var g = new L.GPX(h.track(h.trkpts(20)), {});
+  var stats = g.get_range_stats(0, 19);
+  assert.ok(Math.abs(stats.velocity.avg - g.m_to_km(stats.length) / (95 / 3600)) < 1e-9);
+
+  // without time, or on a single point, there is no moving time
+  g = new L.GPX(h.track(h.trkpts(20, { notime: true })), {});
+  assert.strictEqual(g.get_range_stats(0, 19).velocity.avg, null);
+  assert.strictEqual(g.get_range_stats(5, 5).velocity.avg, null);
+});
+
+test('averages of fields without values', function() {
+  var g = new L.GPX(h.track(h.trkpts(5, { extensions: function(i) { return i < 2 ? '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (100 + i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>' : ''; } })), {});
+  // only the points with a value count
+  assert.strictEqual(g.get_average_hr(), 101);
+  assert.strictEqual(g.get_average_cadence(), null);
+  assert.strictEqual(g.get_average_temp(), null);
+});
+
+test('fields keep only their declared aggregations', function() {
+  var v2 = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+  var g = new L.GPX(h.track(h.trkpts(3, { extensions: function(i) {
+    return '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + (100 + 10 * i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>' +
+      '<TrackPointExtension xmlns="' + v2 + '"><course>' + (350 + i * 10) % 360 + '</course></TrackPointExtension>';
+  } })), {});
+  assert.deepStrictEqual([g._info.hr.avg, g._info.hr.min, g._info.hr.max, g._info.hr.sum], [110, 100, 120, null]);
+  assert.strictEqual(g.get_hr_min(), 100);
+  // bearings can't be averaged
+  assert.deepStrictEqual([g._info.course.avg, g._info.course.min, g._info.course.max], [null, null, null]);
+  assert.strictEqual(g.get_average_course, undefined);
+
+  L.GPX.register_field('salinity', { namespace: '*', aggregation: ['min', 'max', 'sum'], unit: 'psu' });
+  try {
+    g = new L.GPX(h.track(h.trkpts(3, { extensions: function(i) { return '<salinity>' + (30 + i) + '</salinity>'; } })), {});
+    var s = g._info.salinity;
+    assert.deepStrictEqual([s.avg, s.min, s.max, s.sum], [null, 30, 32, 93]);
+    assert.strictEqual(g.get_average_salinity, undefined);
+    assert.strictEqual(g.get_salinity_total(), 93);
+    assert.strictEqual(g.get_tracks()[0].salinity.max, 32);
+  } finally {
+    delete L.GPX.fields.salinity;
+  }
+});
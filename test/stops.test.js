@@ -0,0 +1,40 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+var options = { stop_options: { detect: true } };
+
+test('points staying in place are a stop', function() {
+  // 30 points in the same place, for 145 seconds
+  var g = new L.GPX(h.track(h.trkpts(100, {
+    step: 0.0002,
+    ele: function() { return 100; },
+    position: function(i) { return i < 30 ? i : i < 60 ? 30 : i - 29; }
+  })), options);
+  var stops = g.get_stops();
+  assert.strictEqual(stops.length, 1);
+  assert.strictEqual(stops[0].duration, 145000);
+  assert.strictEqual(stops[0].distance, 0);
+  assert.strictEqual(g.get_moving_time(), g.get_total_time() - 145000);
+});
+
+test('a paused recording is not a stop', function() {
+  // the device was paused for 10 minutes, and moved 100 meters meanwhile
+  var g = new L.GPX(h.track(h.trkpts(100, { gaps: { 50: 600 }, position: function(i) { return i < 50 ? i : i + 7; } })), options);
+  assert.deepStrictEqual(g.get_stops(), []);
+  assert.strictEqual(g.get_moving_time(), 98 * 5000);
+  assert.strictEqual(g.get_total_time(), 99 * 5000 + 600000);
+});
+
+test('a pause ends a stop', function() {
+  var g = new L.GPX(h.track(h.trkpts(100, {
+    gaps: { 50: 600 },
+    step: 0.0002,
+    position: function(i) { return i < 30 ? i : i < 50 ? 30 : i - 19; }
+  })), options);
+  var stops = g.get_stops();
+  assert.strictEqual(stops.length, 1);
+  assert.strictEqual(+stops[0].end, +g.get_point(49).meta.time);
+  assert.strictEqual(g.get_moving_time(), 98 * 5000 - 19 * 5000);
+});
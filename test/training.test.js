@@ -0,0 +1,112 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var h = require('./helper');
+var L = h.L;
+
+function near(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, (message || '') + ': ' + actual + ' != ' + expected);
+}
+
+// 13 points 5 seconds apart, a minute of moving time, with the heart rate
+// and power of the stretch ending at each point
+function ride(hr, power, opts) {
+  return h.track(h.trkpts(13, L.extend({ extensions: function(i) {
+    return (hr ? '<gpxtpx:TrackPointExtension><gpxtpx:hr>' + hr(i) + '</gpxtpx:hr></gpxtpx:TrackPointExtension>' : '') +
+      (power ? '<power>' + power(i) + '</power>' : '');
+  } }, opts)));
+}
+
+function constant(v) {
+  return function() { return v; };
+}
+
+test('time in heart rate and power zones', function() {
+  var hr = [90, 100, 119, 120, 139, 140, 159, 160, 179, 180, 199, 200, 210];
+  // the last stretch follows a pause and isn't counted
+  var g = new L.GPX(ride(function(i) { return hr[i]; }, function(i) { return 2 * hr[i]; }, { gaps: { 12: 60 } }),
+    { athlete_options: { max_hr: 200, ftp: 200 } });
+  assert.deepStrictEqual(g.get_hr_zones(), [
+    { zone: 1, min: 0, max: 120, time: 10000 },
+    { zone: 2, min: 120, max: 140, time: 10000 },
+    { zone: 3, min: 140, max: 160, time: 10000 },
+    { zone: 4, min: 160, max: 180, time: 10000 },
+    { zone: 5, min: 180, max: null, time: 15000 }
+  ]);
+  assert.deepStrictEqual(g.get_hr_zone_data()[0], [1, 10000 / 60000, 'Z1 (0-120 bpm): 00\'10"']);
+  assert.deepStrictEqual(g.get_hr_zone_data()[4], [5, 0.25, 'Z5 (180+ bpm): 00\'15"']);
+
+  // lower bounds 0, 112, 152, 182, 212, 242 and 300 W
+  assert.deepStrictEqual(g.get_power_zones().map(function(z) { return [Math.round(z.min), z.time]; }),
+    [[0, 0], [112, 0], [152, 0], [182, 5000], [212, 10000], [242, 10000], [300, 30000]]);
+  assert.deepStrictEqual(g.get_power_zone_data()[6], [7, 0.5, 'Z7 (300+ W): 00\'30"']);
+
+  // custom bounds
+  g.set_athlete({ hr_zones: [0, 0.75] });
+  assert.deepStrictEqual(g.get_hr_zones().map(function(z) { return z.time; }), [25000, 30000]);
+
+  // without the settings or the data
+  assert.strictEqual(new L.GPX(ride(constant(150)), {}).get_hr_zones(), null);
+  assert.strictEqual(new L.GPX(ride(constant(150)), { athlete_options: { ftp: 200 } }).get_power_zones(), null);
+  assert.deepStrictEqual(new L.GPX(ride(constant(150)), {}).get_hr_zone_data(), []);
+});
+
+test('TRIMP and hrTSS', function() {
+  // a minute at half of the heart rate reserve
+  var g = new L.GPX(ride(constant(125)), { athlete_options: { max_hr: 200, rest_hr: 50, lthr: 170 } });
+  assert.strictEqual(g.get_moving_time(), 60000);
+  var trimp = 0.5 * 0.64 * Math.exp(1.92 * 0.5);
+  near(g.get_trimp(), trimp, 'TRIMP');
+  // an hour at 80 % of the reserve
+  near(g.get_hrtss(), trimp / (60 * 0.8 * 0.64 * Math.exp(1.92 * 0.8)) * 100, 'hrTSS');
+
+  g.set_athlete({ sex: 'female' });
+  near(g.get_trimp(), 0.5 * 0.86 * Math.exp(1.67 * 0.5), 'female TRIMP');
+
+  g.set_athlete({ lthr: null });
+  assert.strictEqual(g.get_hrtss(), null);
+  g.set_athlete({ rest_hr: null });
+  assert.strictEqual(g.get_trimp(), null);
+  assert.strictEqual(new L.GPX(ride(), { athlete_options: { max_hr: 200, rest_hr: 50 } }).get_trimp(), null);
+});
+
+test('normalized power, intensity factor and TSS', function() {
+  // 30 seconds at 100 W then 30 seconds at 300 W: the 30 second average
+  // goes up by 200 / 6 W a stretch
+  var g = new L.GPX(ride(null, function(i) { return i <= 6 ? 100 : 300; }), { athlete_options: { ftp: 250 } });
+  var rolling = [100, 100, 100, 100, 100, 100, 100 + 200 / 6, 100 + 400 / 6, 200, 100 + 800 / 6, 100 + 1000 / 6, 300];
+  var np = Math.pow(rolling.reduce(function(s, p) { return s + Math.pow(p, 4); }, 0) / 12, 0.25);
+  assert.strictEqual(g.get_average_power(), 200);
+  near(g.get_normalized_power(), np, 'NP');
+  near(g.get_intensity_factor(), np / 250, 'IF');
+  near(g.get_tss(), 1 / 60 * (np / 250) * (np / 250) * 100, 'TSS');
+
+  // at a steady power, the normalized power is the average
+  g = new L.GPX(ride(null, constant(200)), { athlete_options: { ftp: 250 } });
+  near(g.get_normalized_power(), 200, 'steady NP');
+  near(g.get_tss(), 1 / 60 * 0.64 * 100, 'steady TSS');
+
+  g.set_athlete({ ftp: null });
+  assert.strictEqual(g.get_intensity_factor(), null);
+  assert.strictEqual(g.get_tss(), null);
+  g = new L.GPX(ride(constant(150)), { athlete_options: { ftp: 250 } });
+  assert.strictEqual(g.get_average_power(), null);
+  assert.strictEqual(g.get_normalized_power(), null);
+  assert.strictEqual(g.get_tss(), null);
+});
+
+test('heart rate drift', function() {
+  // the same power at 140 bpm for the first half, then at 150 bpm
+  var hr = function(i) { return i <= 6 ? 140 : 150; };
+  var g = new L.GPX(ride(hr, constant(200)), {});
+  near(g.get_hr_drift(), (200 / 140 - 200 / 150) / (200 / 140) * 100, 'with power');
+
+  // the speed per heart beat without power
+  g = new L.GPX(ride(function(i) { return i <= 6 ? 100 : 125; }), {});
+  var speed = function(from, to) {
+    return g._info._points.slice(from, to).reduce(function(s, p) { return s + p.meta.vel; }, 0) / (to - from);
+  };
+  var first = speed(1, 7) / 100, second = speed(7, 13) / 125;
+  near(g.get_hr_drift(), (first - second) / first * 100, 'with speed');
+
+  assert.strictEqual(new L.GPX(ride(null, constant(200)), {}).get_hr_drift(), null);
+});
@@ -0,0 +1,127 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var vm = require('vm');
+var h = require('./helper');
+var L = h.L;
+
+// Runs the worker source in a context of its own, like a browser would.
+var blobs = {};
+function FakeWorker(url) { this.url = url; }
+FakeWorker.prototype.postMessage = function(data) {
+  var _this = this;
+  blobs[this.url].text().then(function(source) {
+    var context = vm.createContext({
+      postMessage: function(d) {
+        setTimeout(function() { _this.onmessage({ data: structuredClone(d) }); });
+      }
+    });
+    try {
+      vm.runInContext(source, context);
+      context.onmessage({ data: structuredClone(data) });
+    } catch (e) {
+      _this.onerror(e);
+    }
+  });
+};
+FakeWorker.prototype.terminate = function() {};
+
+window.Worker = global.Worker = FakeWorker;
+URL.createObjectURL = function(blob) {
+  var url = 'blob:' + Object.keys(blobs).length;
+  blobs[url] = blob;
+  return url;
+};
+URL.revokeObjectURL = function() {};
+
+function summary(g) {
+  return JSON.parse(JSON.stringify({
+    metadata: g.get_metadata(),
+    stats: [g.get_distance(), g.get_total_time(), g.get_moving_time(), g.get_elevation_gain(),
+      g.get_elevation_loss(), g.get_elevation_max(), g.get_average_hr(), g.get_velocity_max()],
+    tracks: g.get_tracks().map(function(t) {
+      return [t.name, t.length, t.style, t.stops, t.segments.map(function(s) { return [s.length, s.duration, s.stops, s.hr]; })];
+    }),
+    routes: g.get_routes().map(function(t) { return [t.name, t.length]; }),
+    points: g._info._points.map(function(p) { return [p.lat, p.lng, p.meta]; }),
+    waypoints: g.get_waypoint_list().map(function(p) { return [p.lat, p.lng, p.meta]; }),
+    gpx: g.toGPX()
+  }));
+}
+
+function compare(x, options) {
+  var dom = new L.GPX(x, L.Util.extend({}, options)), stages = [];
+  var worker = new L.GPX(x, L.Util.extend({ worker: true }, options)).on('progress', function(e) {
+    stages.push(e.stage);
+  });
+  return worker.ready.then(function() {
+    assert.ok(stages.indexOf('parse') > -1);
+    assert.deepStrictEqual(summary(worker), summary(dom));
+    return worker;
+  });
+}
+
+test('the worker runs the methods _scan_gpx calls', function() {
+  var proto = L.GPX.prototype, fns = proto._worker_methods(), calls = ['_scan_gpx'], re = /\.(_\w+)\(/g, m;
+  for (var i = 0; i < calls.length; i++) {
+    var source = proto[calls[i]].toString();
+    while ((m = re.exec(source)) != null) {
+      if (calls.indexOf(m[1]) < 0 && typeof proto[m[1]] === 'function') calls.push(m[1]);
+    }
+  }
+  assert.deepStrictEqual(fns.slice().sort(), calls.sort());
+});
+
+test('parsing in a worker with minified methods', function() {
+  // as after a minifier renamed _this, which hid _parse_field from a search
+  // of the source
+  var proto = L.GPX.prototype, toString = Function.prototype.toString;
+  proto._scan_gpx.toString = function() { return toString.call(this).replace(/\b_this\b/g, 'a'); };
+  try {
+    return compare(h.fixture('track.gpx'), {});
+  } finally {
+    delete proto._scan_gpx.toString;
+  }
+});
+
+test('parsing in a worker gives the same result', function() {
+  return compare(h.fixture('track.gpx'), {});
+});
+
+test('parsing in a worker gives the same result with separate segments', function() {
+  return compare(h.fixture('track.gpx'), { gpx_options: { joinTrackSegments: false } });
+});
+
+test('parsing in a worker keeps the names of the points', function() {
+  var pts = h.trkpts(3).split('</trkpt>');
+  pts[1] += '<name>Bridge</name>';
+  return compare(h.track(pts.join('</trkpt>')), {}).then(function(g) {
+    assert.deepStrictEqual(g._info._points.map(function(p) { return p.meta.name; }), [undefined, 'Bridge', undefined]);
+  });
+});
+
+test('parsing in a worker gives the same result with stops and filters', function() {
+  var x = h.track([h.trkpts(100, { position: function(i) { return i < 30 ? i : i < 60 ? 30 : i - 30; } }), h.trkpts(40, { start: 1000 })]);
+  return compare(x, {
+    stop_options: { detect: true },
+    filter_options: { outliers: true, smooth: true }
+  }).then(function(g) {
+    assert.strictEqual(g.get_tracks()[0].stops.length, 1);
+  });
+});
+
+test('parsing in a worker gives the same result with empty segments', function() {
+  var x = h.track(['', h.trkpts(20), h.trkpts(1, { start: 1000 })]);
+  return compare(x, { filter_options: { outliers: true, smooth: true } });
+});
+
+test('without gpx.worker.js, files are parsed on the main thread', function() {
+  var proto = L.GPX.prototype, parse = proto._parse_in_worker;
+  delete proto._parse_in_worker;
+  try {
+    var g = new L.GPX(h.fixture('track.gpx'), { worker: true });
+    assert.strictEqual(g.get_name(), 'Morning ride');
+    assert.strictEqual(g._info._points.length, 62);
+  } finally {
+    proto._parse_in_worker = parse;
+  }
+});